@@ -1,238 +1,2179 @@
 'use strict'
 
 const parseJson = require('json-parse-safe')
-const {pull} = require('pull-stream')
+const {pull, values} = require('pull-stream')
 const drain = require('psp-drain')
 const collect = require('psp-collect')
 const stringify = require('http-querystring-stringify')
 const {serializeError} = require('serialize-error')
 
 const defaultClientId = `js-1`
+const methods = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE']
+const hooks = ['request', 'response', 'item', 'error']
 
 class RateLimitError extends Error {
-	constructor(retryAfter) {
+	constructor(retryAfter, {limit, remaining, reset} = {}) {
 		super(
-			retryAfter
+			retryAfter !== undefined
 				? `Request got rate limited for ${retryAfter / 1000} seconds.`
 				: `Request got rate limited.`
 		)
 		this.name = this.constructor.name
 		this.retryAfter = retryAfter
+		if (limit !== undefined) this.limit = limit
+		if (remaining !== undefined) this.remaining = remaining
+		if (reset !== undefined) this.reset = reset
 	}
 }
 
+const timeoutPhases = {
+	connect: ' waiting for a response',
+	idle: ' waiting for data',
+	total: '',
+}
+
 class TimeoutError extends Error {
-	constructor(timeout) {
-		super(`Request timed out after ${timeout / 1000} seconds.`)
+	constructor(timeout, phase = 'total') {
+		super(
+			`Request timed out after ${timeout / 1000} seconds${
+				timeoutPhases[phase]
+			}.`
+		)
 		this.name = this.constructor.name
 		this.timeout = timeout
+		this.phase = phase
+	}
+}
+
+class ServerError extends Error {
+	constructor(message, status, headers) {
+		super(message)
+		this.name = this.constructor.name
+		this.status = status
+		this.headers = headers
+	}
+}
+
+class ResponseError extends Error {
+	constructor({message, ...json}, requestId, status) {
+		super(message)
+		this.name = this.constructor.name
+		this.requestId = requestId
+		Object.assign(this, json)
+		this.status = status
+	}
+
+	toString() {
+		return `${this.message} (${this.code}, ${this.requestId})`
+	}
+}
+
+class AbortError extends Error {
+	constructor(reason) {
+		super(`Request was aborted.`)
+		this.name = this.constructor.name
+		this.reason = reason
+	}
+}
+
+class ProtocolError extends Error {
+	constructor(message) {
+		super(message)
+		this.name = this.constructor.name
+	}
+}
+
+class CircuitOpenError extends Error {
+	constructor(host, retryAfter) {
+		super(
+			retryAfter !== undefined
+				? `Circuit of "${host}" is open for ${
+						retryAfter / 1000
+				  } seconds.`
+				: `Circuit of "${host}" is open.`
+		)
+		this.name = this.constructor.name
+		this.host = host
+		this.retryAfter = retryAfter
+	}
+}
+
+class AuthenticationError extends Error {
+	constructor(cause) {
+		super(`Failed to renew authentication.`)
+		this.name = this.constructor.name
+		this.cause = cause
+	}
+}
+
+const errors = {
+	RateLimitError,
+	TimeoutError,
+	ServerError,
+	ResponseError,
+	AbortError,
+	AuthenticationError,
+	ProtocolError,
+	CircuitOpenError,
+}
+
+// pending renewals by "onUnauthorized" hook shared by concurrent requests
+const renewals = new WeakMap()
+
+// in-flight deduplicated requests by key (see "requestKey")
+const inflight = new Map()
+// ids of "auth.token" functions, "fetch" and middleware to tell deduplicated
+// requests apart
+const objectIds = new WeakMap()
+// errors of "fetch" or of reading a body, as opposed to those of middleware
+const networkErrors = new WeakSet()
+
+module.exports = Object.assign(request, errors, {
+	errors,
+	registerError,
+	create,
+	createLimiter,
+	createScheduler,
+	createCache,
+	createCircuitBreaker,
+	createRedactor,
+	paginate,
+})
+
+// Subclasses of ResponseError by error code of the API reference, any extra
+// properties of an error (e.g. "minimum" and "maximum") are copied as is
+const responseErrors = new Map()
+for (const [code, name] of [
+	['VERSION_MISSING', 'VersionMissingError'],
+	['VERSION_UNSUPPORTED', 'VersionUnsupportedError'],
+	['BODY_INVALID', 'BodyInvalidError'],
+	['UNAUTHORIZED', 'UnauthorizedError'],
+	['FORBIDDEN', 'ForbiddenError'],
+	['NOT_FOUND', 'NotFoundError'],
+	['AMOUNT_INVALID', 'AmountInvalidError'],
+	['CARD_DECLINED', 'CardDeclinedError'],
+	['CARD_EXPIRED', 'CardExpiredError'],
+]) {
+	registerError(code, name)
+}
+
+// Registers a subclass of ResponseError (or creates one given a name) to be
+// used for errors of the given code and exposes it on "request" and
+// "request.errors"
+function registerError(code, ErrorClass) {
+	if (typeof code !== 'string' || code === '') {
+		throw new Error(
+			`Unexpected "code", got "${code}" expected a non-empty string`
+		)
+	}
+	const E =
+		typeof ErrorClass === 'string'
+			? {[ErrorClass]: class extends ResponseError {}}[ErrorClass]
+			: ErrorClass
+	if (typeof E !== 'function' || !(E.prototype instanceof ResponseError)) {
+		throw new Error(
+			`Unexpected error class, expected a name or a subclass of "ResponseError"`
+		)
+	}
+	if (E.name in request && request[E.name] !== E) {
+		throw new Error(
+			`Unexpected error class name "${E.name}", already used by "request.${E.name}"`
+		)
+	}
+	responseErrors.set(code, E)
+	errors[E.name] = request[E.name] = E
+	return E
+}
+
+function request(
+	endpoint,
+	{
+		log = () => undefined,
+		clock = {
+			setTimeout: (...args) => setTimeout(...args),
+			clearTimeout: (...args) => clearTimeout(...args),
+			now: () => Date.now(),
+		},
+		clientId = defaultClientId,
+		timeout = 10000,
+		totalTimeout = timeout,
+		connectTimeout = 0,
+		idleTimeout = 0,
+		fetch = globalThis.fetch,
+		retry = false,
+		resume = false,
+		idempotencyKey,
+		signal,
+		auth,
+		headers = {},
+		middleware = [],
+		strict = false,
+		dedupe = false,
+		cache,
+		redact = true,
+		metrics: logMetrics = false,
+		tracer,
+		limiter,
+		circuitBreaker,
+		scheduler,
+		priority = 0,
+		version,
+		query,
+		data,
+		method = data === undefined ? 'GET' : 'POST',
+	}
+) {
+	if (typeof endpoint !== 'string') {
+		throw new Error(
+			`Unexpected first argument (endpoint), got "${typeof endpoint}" expected "string"`
+		)
+	}
+	if (typeof log !== 'function') {
+		throw new Error(
+			`Unexpected type of "log", got "${typeof log}" expected "function"`
+		)
+	}
+	if (typeof fetch !== 'function') {
+		throw new Error(
+			`Unexpected type of "fetch", got "${typeof fetch}" expected "function"`
+		)
+	}
+	if (retry === null) {
+		throw new Error(
+			`Unexpected value of "retry", got "null" expected "boolean" or "object"`
+		)
+	}
+	if (typeof retry !== 'boolean' && typeof retry !== 'object') {
+		throw new Error(
+			`Unexpected type of "retry", got "${typeof retry}" expected "boolean" or "object"`
+		)
+	}
+	if (resume === null) {
+		throw new Error(
+			`Unexpected value of "resume", got "null" expected "boolean" or "object"`
+		)
+	}
+	if (typeof resume !== 'boolean' && typeof resume !== 'object') {
+		throw new Error(
+			`Unexpected type of "resume", got "${typeof resume}" expected "boolean" or "object"`
+		)
+	}
+	if (
+		idempotencyKey !== undefined &&
+		idempotencyKey !== true &&
+		(typeof idempotencyKey !== 'string' || idempotencyKey === '')
+	) {
+		throw new Error(
+			`Unexpected "idempotencyKey", got "${idempotencyKey}" expected a non-empty string or "true"`
+		)
+	}
+	if (signal === null) {
+		throw new Error(
+			`Unexpected value of "signal", got "null" expected "AbortSignal"`
+		)
+	}
+	if (
+		signal !== undefined &&
+		(typeof signal !== 'object' ||
+			typeof signal.addEventListener !== 'function')
+	) {
+		throw new Error(
+			`Unexpected type of "signal", got "${typeof signal}" expected "AbortSignal"`
+		)
+	}
+	if (auth === null) {
+		throw new Error(
+			`Unexpected value of "auth", got "null" expected "object"`
+		)
+	}
+	if (auth !== undefined && typeof auth !== 'object') {
+		throw new Error(
+			`Unexpected type of "auth", got "${typeof auth}" expected "object"`
+		)
+	}
+	if (
+		auth !== undefined &&
+		!(
+			(typeof auth.key === 'string' &&
+				auth.key !== '' &&
+				auth.token === undefined) ||
+			(['string', 'function'].includes(typeof auth.token) &&
+				auth.token !== '' &&
+				auth.key === undefined)
+		)
+	) {
+		throw new Error(
+			`Unexpected "auth", expected either a "key" or a "token"`
+		)
+	}
+	if (
+		auth !== undefined &&
+		auth.onUnauthorized !== undefined &&
+		(typeof auth.onUnauthorized !== 'function' ||
+			typeof auth.token !== 'function')
+	) {
+		throw new Error(
+			`Unexpected "auth.onUnauthorized", expected a function used with a "token" function`
+		)
+	}
+	if (headers === null) {
+		throw new Error(
+			`Unexpected value of "headers", got "null" expected "object"`
+		)
+	}
+	if (typeof headers !== 'object') {
+		throw new Error(
+			`Unexpected type of "headers", got "${typeof headers}" expected "object"`
+		)
+	}
+	if (!Array.isArray(middleware)) {
+		throw new Error(
+			`Unexpected type of "middleware", got "${typeof middleware}" expected "array"`
+		)
+	}
+	middleware.forEach((m, i) => {
+		if (
+			m === null ||
+			typeof m !== 'object' ||
+			hooks.some((h) => m[h] !== undefined && typeof m[h] !== 'function')
+		) {
+			throw new Error(
+				`Unexpected "middleware[${i}]", expected an object of ${hooks
+					.map((h) => `"${h}"`)
+					.join(', ')} functions`
+			)
+		}
+	})
+	for (const [name, value] of Object.entries({
+		totalTimeout,
+		connectTimeout,
+		idleTimeout,
+	})) {
+		if (typeof value !== 'number' || !(value >= 0)) {
+			throw new Error(
+				`Unexpected "${name}", got "${value}" expected a non-negative number`
+			)
+		}
+	}
+	if (typeof dedupe !== 'boolean') {
+		throw new Error(
+			`Unexpected type of "dedupe", got "${typeof dedupe}" expected "boolean"`
+		)
+	}
+	if (
+		cache !== undefined &&
+		(cache === null ||
+			typeof cache.get !== 'function' ||
+			typeof cache.set !== 'function')
+	) {
+		throw new Error(
+			`Unexpected "cache", expected an object with "get" and "set" functions`
+		)
+	}
+	if (typeof strict !== 'boolean') {
+		throw new Error(
+			`Unexpected type of "strict", got "${typeof strict}" expected "boolean"`
+		)
+	}
+	if (redact === null) {
+		throw new Error(
+			`Unexpected value of "redact", got "null" expected "boolean" or "object"`
+		)
+	}
+	if (typeof redact !== 'boolean' && typeof redact !== 'object') {
+		throw new Error(
+			`Unexpected type of "redact", got "${typeof redact}" expected "boolean" or "object"`
+		)
+	}
+	if (
+		typeof redact === 'object' &&
+		['keys', 'patterns'].some(
+			(rule) => redact[rule] !== undefined && !Array.isArray(redact[rule])
+		)
+	) {
+		throw new Error(
+			`Unexpected "redact", expected "keys" and "patterns" to be arrays`
+		)
+	}
+	if (typeof logMetrics !== 'boolean') {
+		throw new Error(
+			`Unexpected type of "metrics", got "${typeof logMetrics}" expected "boolean"`
+		)
+	}
+	if (
+		tracer !== undefined &&
+		(tracer === null || typeof tracer.startSpan !== 'function')
+	) {
+		throw new Error(
+			`Unexpected "tracer", expected an object with a "startSpan" function`
+		)
+	}
+	if (
+		limiter !== undefined &&
+		(limiter === null ||
+			typeof limiter.acquire !== 'function' ||
+			typeof limiter.pause !== 'function')
+	) {
+		throw new Error(
+			`Unexpected "limiter", expected an object with "acquire" and "pause" functions`
+		)
+	}
+	if (
+		circuitBreaker !== undefined &&
+		(circuitBreaker === null ||
+			typeof circuitBreaker.check !== 'function' ||
+			typeof circuitBreaker.record !== 'function')
+	) {
+		throw new Error(
+			`Unexpected "circuitBreaker", expected an object with "check" and "record" functions`
+		)
+	}
+	if (
+		scheduler !== undefined &&
+		(scheduler === null ||
+			typeof scheduler.acquire !== 'function' ||
+			typeof scheduler.release !== 'function')
+	) {
+		throw new Error(
+			`Unexpected "scheduler", expected an object with "acquire" and "release" functions`
+		)
+	}
+	if (typeof priority !== 'number' || !Number.isFinite(priority)) {
+		throw new Error(
+			`Unexpected "priority", got "${priority}" expected a finite number`
+		)
+	}
+	if (!Number.isInteger(version) || version < 1) {
+		throw new Error(
+			`Unexpected "version", got "${version}" expected a positive integer`
+		)
+	}
+	if (!methods.includes(method)) {
+		throw new Error(
+			`Unexpected "method", got "${method}" expected one of ${methods
+				.map((m) => `"${m}"`)
+				.join(', ')}`
+		)
+	}
+	if (query === null) {
+		throw new Error(
+			`Unexpected value of "query", got "null" expected "object"`
+		)
+	}
+	if (query !== undefined && typeof query !== 'object') {
+		throw new Error(
+			`Unexpected type of "query", got "${typeof query}" expected "object"`
+		)
+	}
+	if (data === null) {
+		throw new Error(
+			`Unexpected value of "data", got "null" expected "object"`
+		)
+	}
+	if (data !== undefined && typeof data !== 'object') {
+		throw new Error(
+			`Unexpected type of "data", got "${typeof data}" expected "object"`
+		)
+	}
+	if (method === 'GET' && data !== undefined) {
+		throw new Error(`Unexpected "data" for a "GET" request`)
+	}
+	const redactor =
+		redact === false
+			? undefined
+			: createRedactor(redact === true ? undefined : redact)
+	const logger =
+		redactor === undefined ? log : (entry) => log(redactor.value(entry))
+	const now = clock.now !== undefined ? () => clock.now() : () => Date.now()
+	// timings are in milliseconds since "start"
+	const metrics = {
+		start: now(),
+		queued: undefined,
+		headers: undefined,
+		firstItem: undefined,
+		end: undefined,
+		bytes: 0,
+		items: 0,
+		attempts: 0,
+	}
+	// budget from the latest response's rate limit headers
+	const rateLimit = {}
+	// status and headers of the latest response
+	let response
+	// "If-None-Match" and "If-Modified-Since" of a stale cache entry
+	let validators
+	const base = endpoint.includes('://') ? endpoint : 'https://' + endpoint
+	const toUrl = (query) =>
+		`${base}${query !== undefined ? '?' + stringify(query) : ''}`
+	// generated once to be shared by all attempts of this request
+	const key = idempotencyKey === true ? generateKey() : idempotencyKey
+	const body = data !== undefined ? JSON.stringify(data) : undefined
+	const authorization =
+		auth === undefined
+			? undefined
+			: auth.key !== undefined
+			? `Basic ${base64(`:${auth.key}`)}`
+			: typeof auth.token === 'function'
+			? () => Promise.resolve(auth.token()).then((t) => `Bearer ${t}`)
+			: `Bearer ${auth.token}`
+
+	// "patch" is merged into the query when resuming
+	const attempt = (patch) =>
+		exchange({
+			log: logger,
+			clock,
+			fetch,
+			timeout: totalTimeout,
+			connectTimeout,
+			idleTimeout,
+			method,
+			url: toUrl(patch === undefined ? query : {...query, ...patch}),
+			headers: {
+				...headers,
+				'X-Client': clientId,
+				'Accept-Version': version,
+				...(data !== undefined
+					? {'Content-Type': 'application/json'}
+					: undefined),
+				...(key !== undefined ? {'Idempotency-Key': key} : undefined),
+				...validators,
+			},
+			authorization,
+			body,
+			idempotencyKey: key,
+			middleware,
+			strict,
+			redactor,
+			now,
+			metrics,
+			rateLimit,
+			onResponse: (head) => (response = head),
+			tracer,
+		})
+
+	if (signal !== undefined && signal.aborted) {
+		const err = new AbortError(signal.reason)
+		if (key !== undefined) err.idempotencyKey = key
+		logger({t: 'aborted', abort: serializeError(err)})
+		return shortcuts((abort, cb) => cb(err))
+	}
+
+	const queued =
+		scheduler === undefined
+			? attempt
+			: (patch) =>
+					scheduled(() => attempt(patch), {
+						log: logger,
+						now,
+						scheduler,
+						host: new URL(base).host,
+						priority,
+					})
+
+	const limited =
+		limiter === undefined
+			? queued
+			: (patch) =>
+					throttled(() => queued(patch), {
+						log: logger,
+						limiter,
+						host: new URL(base).host,
+					})
+
+	const guarded =
+		circuitBreaker === undefined
+			? limited
+			: (patch) =>
+					breaking(() => limited(patch), {
+						log: logger,
+						circuitBreaker,
+						host: new URL(base).host,
+						response: () => response,
+						idempotencyKey: key,
+					})
+
+	const authenticated =
+		auth !== undefined && auth.onUnauthorized !== undefined
+			? (patch) =>
+					reauthenticating(() => guarded(patch), {
+						log: logger,
+						onUnauthorized: auth.onUnauthorized,
+						idempotencyKey: key,
+					})
+			: guarded
+
+	const start = (patch) =>
+		retry === false
+			? authenticated(patch)
+			: retrying(() => authenticated(patch), {
+					log: logger,
+					clock,
+					...(retry === true ? undefined : retry),
+					idempotent: method === 'GET' || key !== undefined,
+			  })
+
+	const open = () =>
+		resume === false
+			? start()
+			: resuming(start, {
+					log: logger,
+					param:
+						query !== undefined && query.after !== undefined
+							? 'after'
+							: 'before',
+					limit:
+						query !== undefined && query.limit !== undefined
+							? Number(query.limit)
+							: undefined,
+					...(resume === true ? undefined : resume),
+			  })
+
+	const load =
+		cache === undefined || method !== 'GET'
+			? open
+			: () =>
+					cached(open, {
+						log: logger,
+						now,
+						cache,
+						key: requestKey({
+							url: toUrl(query),
+							version,
+							headers,
+							auth,
+						}),
+						revalidate: (entry) => {
+							validators = {
+								...(entry.etag !== undefined
+									? {'If-None-Match': entry.etag}
+									: undefined),
+								...(entry.lastModified !== undefined
+									? {'If-Modified-Since': entry.lastModified}
+									: undefined),
+							}
+						},
+						response: () => response,
+					})
+
+	const source =
+		dedupe === true && method === 'GET'
+			? subscribe(
+					// requests of other clients (e.g. signing requests by
+					// middleware) are never shared
+					JSON.stringify([
+						requestKey({url: toUrl(query), version, headers, auth}),
+						clientId,
+						idOf(fetch),
+						middleware.map(idOf),
+					]),
+					load,
+					{log: logger, url: toUrl(query)}
+			  )
+			: load()
+
+	return Object.assign(
+		shortcuts(
+			measured(
+				signal === undefined ? source : abortable(source, signal, key),
+				{
+					log: logger,
+					now,
+					metrics,
+					logMetrics,
+				}
+			)
+		),
+		{metrics, rateLimit}
+	)
+}
+
+// Keys of deduplicated and cached requests hold hashes of credentials only,
+// as cache stores may persist them
+function requestKey({url, version, headers, auth}) {
+	let credentials
+	if (auth !== undefined && auth.key !== undefined) {
+		credentials = hash(auth.key)
+	} else if (auth !== undefined && typeof auth.token === 'function') {
+		credentials = idOf(auth.token)
+	} else if (auth !== undefined) {
+		credentials = hash(auth.token)
+	}
+	return JSON.stringify([
+		url,
+		version,
+		Object.entries(headers)
+			.sort(([a], [b]) => (a < b ? -1 : 1))
+			.map(([name, value]) => [
+				name,
+				redactedKeys.includes(name.toLowerCase())
+					? hash(String(value))
+					: value,
+			]),
+		credentials,
+	])
+}
+
+// random to never match those of other processes
+function idOf(value) {
+	if (!objectIds.has(value)) objectIds.set(value, generateKey())
+	return objectIds.get(value)
+}
+
+// 53-bit non-reversible hash (cyrb53)
+function hash(str) {
+	let h1 = 0xdeadbeef
+	let h2 = 0x41c6ce57
+	for (let i = 0; i < str.length; i++) {
+		const c = str.charCodeAt(i)
+		h1 = Math.imul(h1 ^ c, 2654435761)
+		h2 = Math.imul(h2 ^ c, 1597334677)
+	}
+	h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507)
+	h1 ^= Math.imul(h2 ^ (h2 >>> 13), 3266489909)
+	h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507)
+	h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909)
+	return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36)
+}
+
+// In-memory store of at most "max" entries for "cache", the least recently used
+// entry is evicted first.
+function createCache({max = 100} = {}) {
+	if (!Number.isInteger(max) || max < 1) {
+		throw new Error(
+			`Unexpected "max", got "${max}" expected a positive integer`
+		)
+	}
+	const entries = new Map()
+	return {
+		get: (key) => {
+			const entry = entries.get(key)
+			if (entry !== undefined) {
+				entries.delete(key)
+				entries.set(key, entry)
+			}
+			return entry
+		},
+		set: (key, entry) => {
+			entries.delete(key)
+			entries.set(key, entry)
+			if (entries.size > max) entries.delete(entries.keys().next().value)
+		},
+		delete: (key) => {
+			entries.delete(key)
+		},
+	}
+}
+
+// Replays the items of a fresh cache entry without a request, revalidates a
+// stale entry (replayed on "304 Not Modified") and stores the items of a
+// cacheable response. Stores may return promises.
+function cached(open, {log, now, cache, key, revalidate, response}) {
+	let entry
+	return deferred(
+		() => {
+			if (entry !== undefined && entry.expires > now()) {
+				log({t: 'cache hit'})
+				return values(entry.items)
+			}
+			if (entry !== undefined) revalidate(entry)
+			return storing(open())
+		},
+		{
+			acquire: (start) => {
+				let cancelled = false
+				Promise.resolve()
+					.then(() => cache.get(key))
+					.catch((err) => {
+						log({t: 'cache error', error: serializeError(err)})
+					})
+					.then((found) => {
+						if (cancelled) return
+						entry = found
+						start()
+					})
+				return () => {
+					cancelled = true
+				}
+			},
+			release: () => undefined,
+		}
+	)
+
+	function storing(source) {
+		const items = []
+		let replay
+		return (abort, cb) => {
+			if (replay !== undefined) return replay(abort, cb)
+			if (abort) return source(abort, cb)
+			source(null, (end, item) => {
+				if (end !== true) {
+					if (!end) items.push(item)
+					return cb(end, item)
+				}
+				const {status, headers} = response()
+				if (status === 304 && entry !== undefined) {
+					log({t: 'cache revalidated'})
+					store({...entry, ...freshness(headers, now)})
+					replay = values(entry.items)
+					return replay(null, cb)
+				}
+				if (status === 200) store({items, ...freshness(headers, now)})
+				cb(end)
+			})
+		}
+	}
+
+	function storable({etag, lastModified, expires}) {
+		// without validators only fresh entries are of use
+		return (
+			expires !== undefined &&
+			(expires > now() ||
+				etag !== undefined ||
+				lastModified !== undefined)
+		)
+	}
+
+	function store(update) {
+		if (!storable(update)) return
+		Promise.resolve()
+			.then(() => cache.set(key, update))
+			.catch((err) => {
+				log({t: 'cache error', error: serializeError(err)})
+			})
+	}
+}
+
+// Validators and expiry (a timestamp) of a response by its "Cache-Control",
+// "Expires", "ETag" and "Last-Modified" headers, "expires" is undefined if it
+// may not be stored
+function freshness(headers, now) {
+	const cacheControl = (headers.get('cache-control') || '').toLowerCase()
+	if (/\bno-store\b/.test(cacheControl)) return {expires: undefined}
+	const maxAge = /\bmax-age=(\d+)/.exec(cacheControl)
+	const expires = headers.get('expires')
+	const update = {
+		expires: /\bno-cache\b/.test(cacheControl)
+			? now()
+			: maxAge !== null
+			? now() + Number(maxAge[1]) * 1000
+			: expires
+			? Date.parse(expires) || now()
+			: now(),
+	}
+	const etag = headers.get('etag')
+	const lastModified = headers.get('last-modified')
+	if (etag) update.etag = etag
+	if (lastModified) update.lastModified = lastModified
+	return update
+}
+
+// Shares one source between concurrent subscribers of the same key. Items are
+// buffered for subscribers reading at their own pace and the shared source is
+// only aborted once every subscriber has left.
+function subscribe(key, open, {log, url}) {
+	let hub = inflight.get(key)
+	if (hub === undefined) {
+		hub = {
+			source: open(),
+			items: [],
+			ended: null,
+			reading: false,
+			waiting: [],
+			subscribers: 0,
+		}
+		inflight.set(key, hub)
+	} else {
+		log({t: 'deduplicated', url})
+	}
+	hub.subscribers++
+	const h = hub
+	let i = 0
+	let ended = null
+	let pending
+
+	return source
+
+	function source(abort, cb) {
+		if (ended) {
+			cb(ended)
+		} else if (abort) {
+			ended = abort
+			leave()
+			if (pending !== undefined) {
+				h.waiting.splice(h.waiting.indexOf(resume), 1)
+				const _cb = pending
+				pending = undefined
+				_cb(ended)
+			}
+			cb(ended)
+		} else if (i < h.items.length) {
+			cb(null, h.items[i++])
+		} else if (h.ended) {
+			ended = h.ended
+			leave()
+			cb(ended)
+		} else {
+			pending = cb
+			h.waiting.push(resume)
+			read()
+		}
+	}
+
+	function resume() {
+		const _cb = pending
+		pending = undefined
+		source(null, _cb)
+	}
+
+	function read() {
+		if (h.reading) return
+		h.reading = true
+		h.source(null, (end, item) => {
+			h.reading = false
+			if (end) {
+				h.ended = end
+				if (inflight.get(key) === h) inflight.delete(key)
+			} else {
+				h.items.push(item)
+			}
+			const waiting = h.waiting
+			h.waiting = []
+			for (const fn of waiting) fn()
+		})
+	}
+
+	function leave() {
+		h.subscribers--
+		if (h.subscribers > 0 || h.ended) return
+		h.ended = ended
+		if (inflight.get(key) === h) inflight.delete(key)
+		h.source(ended, () => undefined)
+	}
+}
+
+function create(defaults = {}) {
+	if (defaults === null || typeof defaults !== 'object') {
+		throw new Error(
+			`Unexpected type of "defaults", got "${
+				defaults === null ? 'null' : typeof defaults
+			}" expected "object"`
+		)
+	}
+	const {endpoint} = defaults
+	if (endpoint !== undefined && typeof endpoint !== 'string') {
+		throw new Error(
+			`Unexpected type of "endpoint", got "${typeof endpoint}" expected "string"`
+		)
+	}
+
+	const client = (path, opts) => {
+		const {endpoint, ...merged} = mergeOptions(defaults, opts)
+		return request(joinPath(endpoint, path), merged)
+	}
+	client.get = (path, opts) => client(path, {...opts, method: 'GET'})
+	client.delete = (path, opts) => client(path, {...opts, method: 'DELETE'})
+	for (const method of ['POST', 'PUT', 'PATCH']) {
+		client[method.toLowerCase()] = (path, data, opts) =>
+			client(path, {...opts, method, data})
+	}
+	client.list = (path, opts) => {
+		const {endpoint, ...merged} = mergeOptions(defaults, opts)
+		return paginate(joinPath(endpoint, path), merged)
+	}
+	client.extend = (opts) => create(mergeOptions(defaults, opts))
+	return client
+}
+
+// Follows "before" (or "after" if given) cursors of list endpoints until a page
+// comes back short or "max" items have been emitted.
+function paginate(
+	endpoint,
+	{
+		query = {},
+		pageSize = 100,
+		max = Infinity,
+		cursor = (item) => item.id,
+		...opts
+	} = {}
+) {
+	if (!Number.isInteger(pageSize) || pageSize < 1) {
+		throw new Error(
+			`Unexpected "pageSize", got "${pageSize}" expected a positive integer`
+		)
+	}
+	if (max !== Infinity && (!Number.isInteger(max) || max < 1)) {
+		throw new Error(
+			`Unexpected "max", got "${max}" expected a positive integer`
+		)
+	}
+	if (typeof cursor !== 'function') {
+		throw new Error(
+			`Unexpected type of "cursor", got "${typeof cursor}" expected "function"`
+		)
+	}
+	const direction =
+		query !== null && query.after !== undefined ? 'after' : 'before'
+	let count = 0
+	let pageCount = 0
+	let limit
+	let last
+	let ended = null
+	let page = next()
+
+	return shortcuts(source)
+
+	function next() {
+		limit = Math.min(pageSize, max - count)
+		pageCount = 0
+		return request(endpoint, {
+			...opts,
+			query: {
+				...query,
+				limit,
+				...(last !== undefined
+					? {[direction]: cursor(last)}
+					: undefined),
+			},
+		})
+	}
+
+	function source(abort, cb) {
+		if (ended) {
+			cb(ended)
+		} else if (abort) {
+			ended = abort
+			page(abort, () => cb(ended))
+		} else if (count >= max) {
+			source(true, cb)
+		} else {
+			page(null, (end, item) => {
+				if (ended) {
+					cb(ended)
+				} else if (end === true) {
+					if (pageCount < limit) {
+						ended = true
+						cb(ended)
+					} else if (cursor(last) === undefined) {
+						ended = new Error(
+							'Unable to paginate, got no cursor for the last item'
+						)
+						cb(ended)
+					} else {
+						page = next()
+						source(null, cb)
+					}
+				} else if (end) {
+					ended = end
+					cb(ended)
+				} else {
+					pageCount++
+					count++
+					last = item
+					cb(null, item)
+				}
+			})
+		}
+	}
+}
+
+function mergeOptions(defaults, opts = {}) {
+	return {
+		...defaults,
+		...opts,
+		...(defaults.headers !== undefined || opts.headers !== undefined
+			? {headers: {...defaults.headers, ...opts.headers}}
+			: undefined),
+		...(defaults.middleware !== undefined || opts.middleware !== undefined
+			? {
+					middleware: [
+						...(defaults.middleware || []),
+						...(opts.middleware || []),
+					],
+			  }
+			: undefined),
+	}
+}
+
+function joinPath(endpoint, path) {
+	if (path === undefined) {
+		return endpoint
+	} else if (
+		endpoint === undefined ||
+		typeof path !== 'string' ||
+		path.includes('://')
+	) {
+		return path
+	} else {
+		return `${endpoint.replace(/\/+$/, '')}/${path.replace(/^\/+/, '')}`
+	}
+}
+
+function measured(source, {log, now, metrics, logMetrics}) {
+	return (abort, cb) =>
+		source(abort, (end, item) => {
+			if (end) {
+				if (metrics.end === undefined) {
+					metrics.end = now() - metrics.start
+					if (logMetrics) log({t: 'metrics', ...metrics})
+				}
+			} else {
+				if (metrics.firstItem === undefined) {
+					metrics.firstItem = now() - metrics.start
+				}
+				metrics.items++
+			}
+			cb(end, item)
+		})
+}
+
+function abortable(source, signal, idempotencyKey) {
+	let ended = false
+	signal.addEventListener('abort', onAbort)
+
+	return (abort, cb) =>
+		source(abort, (end, item) => {
+			if (end) finish()
+			cb(end, item)
+		})
+
+	function onAbort() {
+		finish()
+		const err = new AbortError(signal.reason)
+		if (idempotencyKey !== undefined) err.idempotencyKey = idempotencyKey
+		source(err, () => undefined)
+	}
+
+	function finish() {
+		if (ended) return
+		ended = true
+		signal.removeEventListener('abort', onAbort)
+	}
+}
+
+function shortcuts(source) {
+	source.first = () => {
+		let result
+		return pull(
+			source,
+			drain((i) => {
+				result = i
+				return false
+			})
+		).then(() => result)
+	}
+	source.toArray = () => pull(source, collect())
+	source.forEach = (fn) => pull(source, drain(fn))
+	source.text = () =>
+		source.toArray().then((chunks) => {
+			if (chunks.some((c) => typeof c !== 'string')) {
+				throw new Error('Unexpected non-text response')
+			}
+			return chunks.join('')
+		})
+	source.arrayBuffer = () =>
+		source.toArray().then((chunks) => {
+			if (chunks.some((c) => !(c instanceof Uint8Array))) {
+				throw new Error('Unexpected non-binary response')
+			}
+			const bytes = new Uint8Array(
+				chunks.reduce((length, c) => length + c.length, 0)
+			)
+			chunks.reduce((offset, c) => {
+				bytes.set(c, offset)
+				return offset + c.length
+			}, 0)
+			return bytes.buffer
+		})
+	source[Symbol.asyncIterator] = () => iterate(source)
+	return source
+}
+
+function iterate(source) {
+	let done = false
+	return {
+		next: () =>
+			done
+				? Promise.resolve({done, value: undefined})
+				: new Promise((resolve, reject) =>
+						source(null, (end, value) => {
+							if (end) {
+								done = true
+								if (end === true) {
+									resolve({done, value: undefined})
+								} else {
+									reject(end)
+								}
+							} else {
+								resolve({done, value})
+							}
+						})
+				  ),
+		// called on "break" and "return" in "for await" loops
+		return: () => {
+			if (done) return Promise.resolve({done, value: undefined})
+			done = true
+			return new Promise((resolve) =>
+				source(true, () => resolve({done, value: undefined}))
+			)
+		},
+		[Symbol.asyncIterator]() {
+			return this
+		},
+	}
+}
+
+// Token buckets by host shared by all requests given the limiter. Requests
+// wait for a token before "fetch" is called and a bucket is paused for
+// "retryAfter" when the server rate limits anyway.
+function createLimiter({
+	rate,
+	interval = 1000,
+	burst = rate,
+	clock = {
+		setTimeout: (...args) => setTimeout(...args),
+		clearTimeout: (...args) => clearTimeout(...args),
+		now: () => Date.now(),
+	},
+} = {}) {
+	for (const [name, value] of Object.entries({rate, interval, burst})) {
+		if (typeof value !== 'number' || !(value > 0)) {
+			throw new Error(
+				`Unexpected "${name}", got "${value}" expected a positive number`
+			)
+		}
+	}
+	const buckets = new Map()
+
+	return {acquire, pause}
+
+	function bucket(host) {
+		let b = buckets.get(host)
+		if (b === undefined) {
+			b = {
+				tokens: burst,
+				updated: clock.now(),
+				blockedUntil: 0,
+				queue: [],
+				timer: undefined,
+			}
+			buckets.set(host, b)
+		}
+		return b
+	}
+
+	// calls "fn" once a token is available and returns a function to cancel
+	function acquire(host, fn) {
+		const b = bucket(host)
+		const waiting = {fn}
+		b.queue.push(waiting)
+		drain(b)
+		return () => {
+			const i = b.queue.indexOf(waiting)
+			if (i === -1) return
+			b.queue.splice(i, 1)
+			if (b.queue.length === 0 && b.timer !== undefined) {
+				clock.clearTimeout(b.timer)
+				b.timer = undefined
+			}
+		}
+	}
+
+	function pause(host, ms) {
+		const b = bucket(host)
+		refill(b)
+		// a single token is left for when the pause ends
+		b.tokens = 1
+		b.blockedUntil = Math.max(b.blockedUntil, clock.now() + ms)
+		if (b.timer !== undefined) {
+			clock.clearTimeout(b.timer)
+			b.timer = undefined
+		}
+		drain(b)
+	}
+
+	function refill(b) {
+		const now = clock.now()
+		const from = Math.max(b.updated, b.blockedUntil)
+		if (now > from) {
+			b.tokens = Math.min(
+				burst,
+				b.tokens + ((now - from) * rate) / interval
+			)
+		}
+		b.updated = Math.max(b.updated, now)
+	}
+
+	function drain(b) {
+		refill(b)
+		const ready = []
+		while (
+			b.queue.length > 0 &&
+			b.tokens >= 1 &&
+			clock.now() >= b.blockedUntil
+		) {
+			b.tokens--
+			ready.push(b.queue.shift())
+		}
+		if (b.queue.length > 0 && b.timer === undefined) {
+			const wait = Math.max(
+				b.blockedUntil - clock.now(),
+				((1 - b.tokens) * interval) / rate
+			)
+			b.timer = clock.setTimeout(() => {
+				b.timer = undefined
+				drain(b)
+			}, Math.ceil(wait))
+		}
+		for (const {fn} of ready) fn()
+	}
+}
+
+// Maximum number of requests in flight by host of the endpoint, waiting
+// requests start by descending "priority" and in order of arrival.
+function createScheduler({maxConcurrent} = {}) {
+	if (!Number.isInteger(maxConcurrent) || maxConcurrent < 1) {
+		throw new Error(
+			`Unexpected "maxConcurrent", got "${maxConcurrent}" expected a positive integer`
+		)
+	}
+	const hosts = new Map()
+
+	return {acquire, release}
+
+	// calls "fn" once a slot is available and returns a function to cancel
+	function acquire(host, priority, fn) {
+		let h = hosts.get(host)
+		if (h === undefined) {
+			h = {active: 0, queue: []}
+			hosts.set(host, h)
+		}
+		if (h.active < maxConcurrent && h.queue.length === 0) {
+			h.active++
+			fn()
+			return () => undefined
+		}
+		const waiting = {priority, fn}
+		const i = h.queue.findIndex((w) => w.priority < priority)
+		h.queue.splice(i === -1 ? h.queue.length : i, 0, waiting)
+		return () => {
+			const i = h.queue.indexOf(waiting)
+			if (i !== -1) h.queue.splice(i, 1)
+		}
+	}
+
+	function release(host) {
+		const h = hosts.get(host)
+		h.active--
+		const next = h.queue.shift()
+		if (next !== undefined) {
+			h.active++
+			next.fn()
+		} else if (h.active === 0) {
+			hosts.delete(host)
+		}
+	}
+}
+
+// Circuits by host shared by all requests given the breaker. A circuit opens
+// once at least "minRequests" of the latest "window" requests have ended and
+// "threshold" of them failed (see "isFailure"), requests then fail with a
+// CircuitOpenError until a single request is let through after "cooldown" to
+// either close or reopen the circuit.
+function createCircuitBreaker({
+	threshold = 0.5,
+	minRequests = 5,
+	window = 20,
+	cooldown = 30000,
+	clock = {now: () => Date.now()},
+} = {}) {
+	if (typeof threshold !== 'number' || !(threshold > 0 && threshold <= 1)) {
+		throw new Error(
+			`Unexpected "threshold", got "${threshold}" expected a number between 0 and 1`
+		)
+	}
+	for (const [name, value] of Object.entries({minRequests, window})) {
+		if (!Number.isInteger(value) || value < 1) {
+			throw new Error(
+				`Unexpected "${name}", got "${value}" expected a positive integer`
+			)
+		}
+	}
+	if (typeof cooldown !== 'number' || !(cooldown >= 0)) {
+		throw new Error(
+			`Unexpected "cooldown", got "${cooldown}" expected a non-negative number`
+		)
+	}
+	const circuits = new Map()
+
+	return {check, record}
+
+	function circuit(host) {
+		let c = circuits.get(host)
+		if (c === undefined) {
+			c = {state: 'closed', outcomes: [], openedAt: 0, trial: false}
+			circuits.set(host, c)
+		}
+		return c
+	}
+
+	function transition(c, host, state, log) {
+		c.state = state
+		c.outcomes = []
+		if (state === 'open') c.openedAt = clock.now()
+		log({t: 'circuit', host, state})
+	}
+
+	// returns a CircuitOpenError if the request may not be sent
+	function check(host, log) {
+		const c = circuit(host)
+		if (c.state === 'open') {
+			const remaining = c.openedAt + cooldown - clock.now()
+			if (remaining > 0) return new CircuitOpenError(host, remaining)
+			transition(c, host, 'half-open', log)
+		}
+		if (c.state === 'half-open') {
+			if (c.trial) return new CircuitOpenError(host)
+			c.trial = true
+		}
+	}
+
+	// "failed" is undefined for requests aborted before an outcome
+	function record(host, failed, log) {
+		const c = circuit(host)
+		if (c.state === 'half-open') {
+			c.trial = false
+			if (failed !== undefined) {
+				transition(c, host, failed ? 'open' : 'closed', log)
+			}
+		} else if (c.state === 'closed' && failed !== undefined) {
+			c.outcomes.push(failed)
+			if (c.outcomes.length > window) c.outcomes.shift()
+			const failures = c.outcomes.filter((f) => f).length
+			if (
+				c.outcomes.length >= minRequests &&
+				failures / c.outcomes.length >= threshold
+			) {
+				transition(c, host, 'open', log)
+			}
+		}
+	}
+}
+
+// Fails fast while the circuit of "host" is open and records the outcome of
+// the attempt otherwise, "response" returns the latest response head
+function breaking(
+	attempt,
+	{log, circuitBreaker, host, response, idempotencyKey}
+) {
+	const err = circuitBreaker.check(host, log)
+	if (err !== undefined) {
+		if (idempotencyKey !== undefined) err.idempotencyKey = idempotencyKey
+		log({t: 'aborted', abort: serializeError(err)})
+		return (abort, cb) => cb(abort || err)
+	}
+	const previous = response()
+	const current = attempt()
+	let recorded = false
+	return (abort, cb) =>
+		current(abort, (end, item) => {
+			if (end === null) {
+				// items only follow a 2xx response
+				record(false)
+			} else if (abort) {
+				// closed by the caller, e.g. by ".first()", after a 2xx
+				// response or before any outcome
+				const head = response()
+				record(
+					head !== previous && head.status < 300 ? false : undefined
+				)
+			} else {
+				record(end !== true && isFailure(end))
+			}
+			cb(end, item)
+		})
+
+	function record(failed) {
+		if (recorded) return
+		recorded = true
+		circuitBreaker.record(host, failed, log)
+	}
+}
+
+// Waits for a token from "limiter" before starting the attempt
+function throttled(attempt, {log, limiter, host}) {
+	return deferred(attempt, {
+		acquire: (start) => {
+			let started = false
+			const cancel = limiter.acquire(host, () => {
+				started = true
+				start()
+			})
+			if (!started) log({t: 'throttled', host})
+			return cancel
+		},
+		release: (end) => {
+			if (end instanceof RateLimitError && end.retryAfter !== undefined) {
+				limiter.pause(host, end.retryAfter)
+			}
+		},
+	})
+}
+
+// Waits for a slot of "scheduler" before starting the attempt and frees it
+// once the attempt ends
+function scheduled(attempt, {log, now, scheduler, host, priority}) {
+	return deferred(attempt, {
+		acquire: (start) => {
+			const queued = now()
+			let started = false
+			let waiting = false
+			const cancel = scheduler.acquire(host, priority, () => {
+				started = true
+				if (waiting) {
+					log({
+						t: 'dequeued',
+						host,
+						priority,
+						queueTime: now() - queued,
+					})
+				}
+				start()
+			})
+			if (!started) {
+				waiting = true
+				log({t: 'queued', host, priority})
+			}
+			return cancel
+		},
+		release: () => scheduler.release(host),
+	})
+}
+
+// Starts the attempt once "acquire" calls back and calls "release" once with
+// the end of a started attempt. The function returned by "acquire" cancels a
+// waiting attempt.
+function deferred(attempt, {acquire, release}) {
+	let current
+	let ended = null
+	let released = false
+	let cbp
+	const cancel = acquire(() => {
+		current = attempt()
+		if (cbp !== undefined) {
+			const _cb = cbp
+			cbp = undefined
+			source(null, _cb)
+		}
+	})
+
+	return source
+
+	function done(end) {
+		if (released) return
+		released = true
+		release(end)
+	}
+
+	function source(abort, cb) {
+		if (ended) {
+			cb(ended)
+		} else if (abort) {
+			ended = abort
+			if (current !== undefined) {
+				current(abort, () => {
+					done(abort)
+					cb(ended)
+				})
+				return
+			}
+			cancel()
+			if (cbp !== undefined) {
+				const _cb = cbp
+				cbp = undefined
+				_cb(ended)
+			}
+			cb(ended)
+		} else if (current === undefined) {
+			cbp = cb
+		} else {
+			current(null, (end, item) => {
+				if (end) done(end)
+				cb(end, item)
+			})
+		}
 	}
 }
 
-class ServerError extends Error {
-	constructor(message, status, headers) {
-		super(message)
-		this.name = this.constructor.name
-		this.status = status
-		this.headers = headers
+// Wraps a source factory and restarts it with exponential backoff (plus
+// jitter) on transient errors, but only as long as no item has been emitted.
+function retrying(
+	attempt,
+	{
+		log,
+		clock,
+		retries = 5,
+		delay = 1000,
+		maxDelay = 60000,
+		random = Math.random,
+		idempotent = true,
 	}
-}
+) {
+	let current = attempt()
+	let attempts = 0
+	let emitted = false
+	let ended = null
+	let timer
+	let cbp
 
-class ResponseError extends Error {
-	constructor({message, ...json}, requestId) {
-		super(message)
-		this.name = this.constructor.name
-		this.requestId = requestId
-		Object.assign(this, json)
-	}
+	return source
 
-	toString() {
-		return `${this.message} (${this.code}, ${this.requestId})`
+	function source(abort, cb) {
+		if (ended) {
+			cb(ended)
+		} else if (abort) {
+			ended = abort
+			if (cbp !== undefined) {
+				// waiting for the next attempt
+				clock.clearTimeout(timer)
+				const _cb = cbp
+				cbp = undefined
+				_cb(ended)
+				cb(ended)
+			} else {
+				current(abort, () => cb(ended))
+			}
+		} else {
+			current(null, (end, item) => {
+				if (end === null) {
+					emitted = true
+					cb(null, item)
+				} else if (
+					end === true ||
+					ended ||
+					emitted ||
+					attempts >= retries ||
+					!isRetryable(end, idempotent)
+				) {
+					ended = ended || end
+					cb(ended)
+				} else {
+					attempts++
+					const backoff = Math.min(
+						maxDelay,
+						delay * 2 ** (attempts - 1)
+					)
+					const wait =
+						end instanceof RateLimitError &&
+						end.retryAfter !== undefined
+							? end.retryAfter
+							: Math.round(backoff / 2 + (random() * backoff) / 2)
+					log({
+						t: 'retrying',
+						attempt: attempts,
+						retries,
+						delay: wait,
+						error: serializeError(end),
+					})
+					cbp = cb
+					timer = clock.setTimeout(() => {
+						cbp = undefined
+						current = attempt()
+						source(null, cb)
+					}, wait)
+				}
+			})
+		}
 	}
 }
 
-const errors = {
-	RateLimitError,
-	TimeoutError,
-	ServerError,
-	ResponseError,
-}
+// Re-issues a request from the last emitted item (passing its cursor as the
+// "param" query parameter) when reading fails due to a network error after
+// items have been emitted. Items repeating the last cursor are skipped. The
+// "limit" query parameter is reduced by the items emitted so far.
+function resuming(
+	start,
+	{log, param, limit, attempts = 3, cursor = (item) => item.id}
+) {
+	let current = start()
+	let reconnections = 0
+	let emitted = 0
+	let last
+	let skipping = false
+	let ended = null
 
-module.exports = Object.assign(request, errors)
+	return source
 
-function request(
-	endpoint,
-	{
-		log = () => undefined,
-		clock = {
-			setTimeout: (...args) => setTimeout(...args),
-			clearTimeout: (...args) => clearTimeout(...args),
-		},
-		clientId = defaultClientId,
-		timeout = 10000,
-		fetch = globalThis.fetch,
-		version,
-		query,
-		data,
-	}
-) {
-	if (typeof endpoint !== 'string') {
-		throw new Error(
-			`Unexpected first argument (endpoint), got "${typeof endpoint}" expected "string"`
-		)
-	}
-	if (typeof log !== 'function') {
-		throw new Error(
-			`Unexpected type of "log", got "${typeof log}" expected "function"`
-		)
-	}
-	if (typeof fetch !== 'function') {
-		throw new Error(
-			`Unexpected type of "fetch", got "${typeof fetch}" expected "function"`
-		)
-	}
-	if (!Number.isInteger(version) || version < 1) {
-		throw new Error(
-			`Unexpected "version", got "${version}" expected a positive integer`
-		)
-	}
-	if (query === null) {
-		throw new Error(
-			`Unexpected value of "query", got "null" expected "object"`
-		)
+	function source(abort, cb) {
+		if (ended) {
+			cb(ended)
+		} else if (abort) {
+			ended = abort
+			current(abort, () => cb(ended))
+		} else {
+			current(null, (end, item) => {
+				if (ended) {
+					cb(ended)
+				} else if (end === null) {
+					const position = cursor(item)
+					if (skipping && position === last) {
+						source(null, cb)
+					} else {
+						skipping = false
+						last = position
+						emitted++
+						cb(null, item)
+					}
+				} else if (
+					end === true ||
+					last === undefined ||
+					reconnections >= attempts ||
+					!isNetworkError(end)
+				) {
+					ended = end
+					cb(ended)
+				} else if (limit !== undefined && emitted >= limit) {
+					ended = true
+					cb(ended)
+				} else {
+					reconnections++
+					log({
+						t: 'resuming',
+						reconnection: reconnections,
+						attempts,
+						[param]: last,
+						error: serializeError(end),
+					})
+					current = start({
+						[param]: last,
+						...(limit !== undefined
+							? {limit: limit - emitted}
+							: undefined),
+					})
+					skipping = true
+					source(null, cb)
+				}
+			})
+		}
 	}
-	if (query !== undefined && typeof query !== 'object') {
-		throw new Error(
-			`Unexpected type of "query", got "${typeof query}" expected "object"`
-		)
+}
+
+// Replays a request once after renewing authentication when it fails with a
+// 401 response. Concurrent requests share a single renewal.
+function reauthenticating(attempt, {log, onUnauthorized, idempotencyKey}) {
+	let current = attempt()
+	let replayed = false
+	let ended = null
+	let cbp
+
+	return source
+
+	function source(abort, cb) {
+		if (ended) {
+			cb(ended)
+		} else if (abort) {
+			ended = abort
+			if (cbp !== undefined) {
+				// waiting for renewal
+				const _cb = cbp
+				cbp = undefined
+				_cb(ended)
+				cb(ended)
+			} else {
+				current(abort, () => cb(ended))
+			}
+		} else {
+			current(null, (end, item) => {
+				if (end === null) {
+					cb(null, item)
+				} else if (
+					ended ||
+					replayed ||
+					!(
+						end instanceof ResponseError ||
+						end instanceof ServerError
+					) ||
+					end.status !== 401
+				) {
+					ended = ended || end
+					cb(ended)
+				} else {
+					replayed = true
+					log({t: 'reauthenticating', error: serializeError(end)})
+					cbp = cb
+					renew(onUnauthorized).then(
+						() => {
+							if (cbp === undefined) return
+							cbp = undefined
+							current = attempt()
+							source(null, cb)
+						},
+						(err) => {
+							if (cbp === undefined) return
+							cbp = undefined
+							ended = new AuthenticationError(err)
+							if (idempotencyKey !== undefined) {
+								ended.idempotencyKey = idempotencyKey
+							}
+							log({t: 'aborted', abort: serializeError(ended)})
+							cb(ended)
+						}
+					)
+				}
+			})
+		}
 	}
-	if (data === null) {
-		throw new Error(
-			`Unexpected value of "data", got "null" expected "object"`
-		)
+}
+
+function renew(onUnauthorized) {
+	let pending = renewals.get(onUnauthorized)
+	if (pending === undefined) {
+		pending = Promise.resolve()
+			.then(() => onUnauthorized())
+			.finally(() => renewals.delete(onUnauthorized))
+		renewals.set(onUnauthorized, pending)
 	}
-	if (data !== undefined && typeof data !== 'object') {
-		throw new Error(
-			`Unexpected type of "data", got "${typeof data}" expected "object"`
-		)
+	return pending
+}
+
+// requests which are not idempotent are only retried when rate limited
+function isRetryable(err, idempotent) {
+	return (
+		err instanceof RateLimitError ||
+		(idempotent &&
+			(err instanceof TimeoutError ||
+				(err instanceof ServerError && err.status >= 500) ||
+				isNetworkError(err)))
+	)
+}
+
+// failures counted by circuit breakers, including 5xx responses with a JSON
+// error
+function isFailure(err) {
+	return (
+		err instanceof TimeoutError ||
+		((err instanceof ServerError || err instanceof ResponseError) &&
+			err.status >= 500) ||
+		isNetworkError(err)
+	)
+}
+
+// network failures as reported by the Fetch API and node-fetch
+function isNetworkError(err) {
+	return (
+		networkErrors.has(err) &&
+		(err instanceof TypeError || err.name === 'FetchError')
+	)
+}
+
+function network(err) {
+	if (err !== null && typeof err === 'object') networkErrors.add(err)
+	return err
+}
+
+// W3C Trace Context header of an OpenTelemetry span context
+function traceparent({traceId, spanId, traceFlags = 0}) {
+	return `00-${traceId}-${spanId}-${traceFlags.toString(16).padStart(2, '0')}`
+}
+
+function base64(str) {
+	return globalThis.btoa !== undefined
+		? globalThis.btoa(str)
+		: Buffer.from(str).toString('base64')
+}
+
+function generateKey() {
+	const {crypto} = globalThis
+	if (crypto !== undefined && crypto.randomUUID !== undefined) {
+		return crypto.randomUUID()
 	}
-	const method = data === undefined ? 'GET' : 'POST'
-	const url = `${
-		endpoint.includes('://') ? endpoint : 'https://' + endpoint
-	}${query !== undefined ? '?' + stringify(query) : ''}`
+	const bytes =
+		crypto !== undefined && crypto.getRandomValues !== undefined
+			? crypto.getRandomValues(new Uint8Array(16))
+			: Uint8Array.from({length: 16}, () => (Math.random() * 256) | 0)
+	return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('')
+}
 
-	log({t: 'request', method, url, timeout})
-	const response = fetch(url, {
+function exchange({
+	log,
+	clock,
+	fetch,
+	timeout,
+	connectTimeout,
+	idleTimeout,
+	method,
+	url,
+	headers,
+	authorization,
+	body,
+	idempotencyKey,
+	middleware,
+	strict,
+	redactor,
+	now,
+	metrics,
+	rateLimit,
+	onResponse,
+	tracer,
+}) {
+	metrics.attempts++
+	log({
+		t: 'request',
 		method,
-		headers: {
-			'X-Client': clientId,
-			'Accept-Version': version,
-			...(data !== undefined
-				? {'Content-Type': 'application/json'}
-				: undefined),
-		},
-		body: data !== undefined ? JSON.stringify(data) : undefined,
+		url,
+		timeout,
+		...(connectTimeout > 0 ? {connectTimeout} : undefined),
+		...(idleTimeout > 0 ? {idleTimeout} : undefined),
+		...(idempotencyKey !== undefined ? {idempotencyKey} : undefined),
 	})
+	const controller =
+		globalThis.AbortController !== undefined
+			? new globalThis.AbortController()
+			: undefined
+	const req = {method, url, headers: {...headers}, body}
+	const span =
+		tracer !== undefined
+			? tracer.startSpan(`HTTP ${method}`, {
+					kind: 2, // "client"
+					attributes: {
+						'http.request.method': method,
+						'url.full':
+							redactor !== undefined ? redactor.value(url) : url,
+					},
+			  })
+			: undefined
+	if (span !== undefined) {
+		req.headers.traceparent = traceparent(span.spanContext())
+	}
+	// credentials are resolved for each attempt and never logged
+	const sent =
+		typeof authorization === 'function' || using('request').length > 0
+			? Promise.resolve(
+					typeof authorization === 'function'
+						? authorization()
+						: authorization
+			  ).then(prepare)
+			: (authorize(authorization), send())
+	const response = using('response').length > 0 ? sent.then(intercept) : sent
+	// also handles the rejection caused by aborting which is not necessarily
+	// observed
+	response.then(
+		() => (metrics.headers = now() - metrics.start),
+		() => undefined
+	)
 	let ended = null
 	let queue = []
 	let buffer = ''
 	let timer
+	let connectTimer
+	let idleTimer
 	let head
+	let format
+	let finished = false
 	let reader
 	let decoder
 	let cbp
 
-	source.first = () => {
-		let result
-		return pull(
-			source,
-			drain((i) => {
-				result = i
-				return false
+	if (timeout > 0) {
+		timer = expire(timeout, 'total')
+	}
+	if (connectTimeout > 0) {
+		connectTimer = expire(connectTimeout, 'connect')
+		response.then(
+			() => (connectTimer = stop(connectTimer)),
+			() => undefined
+		)
+	}
+
+	return source
+
+	function expire(ms, phase) {
+		return clock.setTimeout(
+			() => source(new TimeoutError(ms, phase), () => undefined),
+			ms
+		)
+	}
+
+	function stop(timer) {
+		if (timer !== undefined) {
+			clock.clearTimeout(timer)
+		}
+		return undefined
+	}
+
+	function using(hook) {
+		return middleware.filter((m) => m[hook] !== undefined)
+	}
+
+	function authorize(authorization) {
+		if (authorization !== undefined) {
+			req.headers.Authorization = authorization
+		}
+	}
+
+	// runs "request" hooks of which any may short-circuit with a response
+	function prepare(authorization) {
+		authorize(authorization)
+		return using('request')
+			.reduce(
+				(p, m) =>
+					p.then((synthetic) =>
+						synthetic !== undefined ? synthetic : m.request(req)
+					),
+				Promise.resolve()
+			)
+			.then((synthetic) => {
+				if (ended) throw ended
+				return synthetic !== undefined ? synthetic : send()
 			})
-		).then(() => result)
 	}
-	source.toArray = () => pull(source, collect())
-	source.forEach = (fn) => pull(source, drain(fn))
 
-	if (timeout > 0) {
-		timer = clock.setTimeout(
-			() => source(new TimeoutError(timeout), () => undefined),
-			timeout
+	function intercept(head) {
+		return using('response').reduce(
+			(p, m) =>
+				p.then((current) =>
+					Promise.resolve(m.response(current, req)).then((replaced) =>
+						replaced !== undefined ? replaced : current
+					)
+				),
+			Promise.resolve(head)
 		)
 	}
 
-	return source
+	function send() {
+		if (metrics.queued === undefined) {
+			metrics.queued = now() - metrics.start
+		}
+		return new Promise((resolve) =>
+			resolve(
+				fetch(req.url, {
+					method: req.method,
+					headers: req.headers,
+					body: req.body,
+					signal:
+						controller !== undefined
+							? controller.signal
+							: undefined,
+				})
+			)
+		).catch((err) => {
+			throw network(err)
+		})
+	}
 
 	function source(abort, cb) {
 		if (ended) {
 			cb(ended)
 		} else if (abort) {
+			if (abort !== true) {
+				try {
+					for (const m of using('error')) {
+						const replaced = m.error(abort, req)
+						if (replaced !== undefined) abort = replaced
+					}
+				} catch (err) {
+					abort = err
+				}
+			}
+			if (
+				idempotencyKey !== undefined &&
+				Object.values(errors).some((E) => abort instanceof E)
+			) {
+				abort.idempotencyKey = idempotencyKey
+			}
+			if (
+				redactor !== undefined &&
+				(abort instanceof ResponseError || abort instanceof ServerError)
+			) {
+				redactor.error(abort)
+			}
 			if (abort === true) {
 				log('closing stream')
 			} else {
 				log({t: 'aborted', abort: serializeError(abort)})
 			}
 			ended = abort
-			clock.clearTimeout(timer)
+			timer = stop(timer)
+			connectTimer = stop(connectTimer)
+			idleTimer = stop(idleTimer)
 			if (reader !== undefined) {
 				reader.cancel()
 			}
+			if (controller !== undefined) {
+				controller.abort()
+			}
+			if (span !== undefined) {
+				if (abort !== true) {
+					span.recordException(abort)
+					span.setStatus({code: 2, message: abort.message}) // "error"
+				}
+				span.end()
+			}
 			cbc()
 			cb(ended)
 		} else if (queue.length > 0) {
-			const {error, value} = parseJson(queue.shift())
+			const {error, value} = queue.shift()
 			if (error !== undefined) {
 				source(error, cb)
 			} else {
-				cb(null, value)
+				let item = value
+				try {
+					for (const m of using('item')) {
+						item = m.item(item, req)
+					}
+				} catch (err) {
+					return source(err, cb)
+				}
+				cb(null, item)
 			}
+		} else if (finished) {
+			source(true, cb)
 		} else if (reader !== undefined) {
 			cbp = cb
+			if (idleTimeout > 0) {
+				idleTimer = expire(idleTimeout, 'idle')
+			}
 			reader.read().then(
 				({done, value}) => {
-					if (done) {
-						if (buffer !== '') {
-							log({
-								t: 'unexpected response end (no newline)',
-								buffer,
-							})
-						}
-						log('end of response')
-						cbc(true)
-					} else {
-						const decoded =
-							buffer + decoder.decode(value, {stream: true})
-						const chunks = decoded.split('\n')
-						buffer = chunks.pop()
-						queue.push(...chunks)
-						cbc()
-					}
+					idleTimer = stop(idleTimer)
+					return done ? finish() : receive(value)
 				},
-				(err) => cbc(err)
+				(err) => {
+					idleTimer = stop(idleTimer)
+					cbc(network(err))
+				}
 			)
 		} else if (head !== undefined) {
 			const {status, statusText, headers} = head
 			const contentType = headers.get('content-type')
+			const requestId = headers.get('x-request-id')
 			log({
 				t: 'response',
 				status,
 				statusText,
-				requestId: headers.get('x-request-id'),
+				requestId,
 			})
-			if (status === 204) {
-				// "No Content"
+			if (span !== undefined) {
+				span.setAttribute('http.response.status_code', status)
+				if (requestId)
+					span.setAttribute('paylike.request_id', requestId)
+			}
+			const budget = parseRateLimit(headers, now)
+			Object.assign(rateLimit, budget)
+			onResponse({status, headers})
+			if (status === 204 || status === 304) {
+				// "No Content" or "Not Modified"
 				source(true, cb)
 			} else if (status === 429) {
 				// "Too Many Requests"
-				const retryAfter = headers.get('retry-after')
 				source(
 					new RateLimitError(
-						retryAfter ? retryAfter * 1000 : undefined
+						parseRetryAfter(headers.get('retry-after'), now),
+						budget
 					),
 					cb
 				)
 			} else if (status < 300) {
+				format = formatOf(contentType)
 				reader = getReader(head.body)
 				decoder = new TextDecoder()
 				source(null, cb)
@@ -241,7 +2182,12 @@ function request(
 				head.json().then(
 					(err) =>
 						cbc(
-							new ResponseError(err, headers.get('x-request-id'))
+							new (responseErrors.get(err && err.code) ||
+								ResponseError)(
+								err,
+								headers.get('x-request-id'),
+								status
+							)
 						),
 					(err) =>
 						cbc(
@@ -274,6 +2220,56 @@ function request(
 		}
 	}
 
+	function receive(value) {
+		metrics.bytes += value.byteLength
+		if (format === 'binary') {
+			queue.push({value})
+		} else {
+			const decoded = decoder.decode(value, {stream: true})
+			if (format === 'text') {
+				if (decoded !== '') queue.push({value: decoded})
+			} else if (format === 'json') {
+				// parsed once complete (see "finish")
+				buffer += decoded
+			} else {
+				const lines = (buffer + decoded).split('\n')
+				buffer = lines.pop()
+				queue.push(...lines.map((line) => parseJson(line)))
+			}
+		}
+		cbc()
+	}
+
+	function finish() {
+		if (format === 'json') {
+			const document = buffer.trim() !== '' ? parseJson(buffer) : {}
+			if (document.error === undefined) {
+				if ('value' in document) queue.push(document)
+				buffer = ''
+			} else {
+				// list endpoints label NDJSON as "application/json"
+				const lines = buffer.split('\n')
+				buffer = lines.pop()
+				queue.push(...lines.map((line) => parseJson(line)))
+			}
+		}
+		if ((format === 'ndjson' || format === 'json') && buffer !== '') {
+			if (strict) {
+				return cbc(
+					new ProtocolError('Response ended with an incomplete line.')
+				)
+			}
+			log({t: 'unexpected response end (no newline)', buffer})
+		}
+		log('end of response')
+		if (format === 'text') {
+			const rest = decoder.decode()
+			if (rest !== '') queue.push({value: rest})
+		}
+		finished = true
+		cbc()
+	}
+
 	function cbc(end = null) {
 		if (cbp === undefined) return
 
@@ -283,6 +2279,189 @@ function request(
 	}
 }
 
+const redacted = '[REDACTED]'
+
+// Matched case-insensitively against object keys, header names and query
+// parameter names (or the innermost bracket of "card[cvc]")
+const redactedKeys = [
+	'authorization',
+	'proxy-authorization',
+	'cookie',
+	'set-cookie',
+	'password',
+	'secret',
+	'token',
+	'key',
+	'cvc',
+	'cvv',
+	'cvc2',
+	'cvv2',
+	'csc',
+]
+
+// Card numbers are recognized by their length and Luhn checksum to avoid
+// redacting e.g. timestamps
+function redactCardNumbers(str) {
+	return str.replace(/\d(?:[ -]?\d){12,18}/g, (match) =>
+		luhn(match.replace(/\D/g, '')) ? redacted : match
+	)
+}
+
+function luhn(digits) {
+	let sum = 0
+	for (let i = 0; i < digits.length; i++) {
+		let d = Number(digits[digits.length - 1 - i])
+		if (i % 2 === 1) {
+			d *= 2
+			if (d > 9) d -= 9
+		}
+		sum += d
+	}
+	return sum % 10 === 0
+}
+
+// "keys" are strings or regular expressions, "patterns" are regular
+// expressions (replaced) or functions of a string returning a string
+function createRedactor({keys = [], patterns = []} = {}) {
+	const keyRules = [...redactedKeys, ...keys]
+	const patternRules = [redactCardNumbers, ...patterns]
+
+	return {value, error}
+
+	function isSensitive(key) {
+		const name = String(key).replace(/^.*\[([^\]]*)\]$/, '$1')
+		return keyRules.some((rule) =>
+			typeof rule === 'string'
+				? rule.toLowerCase() === name.toLowerCase()
+				: rule.test(name)
+		)
+	}
+
+	function string(str) {
+		const withQuery = /^[a-z][a-z0-9+.-]*:\/\/[^?]*\?/i.test(str)
+			? str.replace(/([?&])([^=&#]*)=([^&#]*)/g, (match, sep, name) =>
+					isSensitive(safeDecode(name))
+						? `${sep}${name}=${redacted}`
+						: match
+			  )
+			: str
+		return patternRules.reduce(
+			(str, rule) =>
+				typeof rule === 'function'
+					? rule(str)
+					: str.replace(rule, redacted),
+			withQuery
+		)
+	}
+
+	function value(v) {
+		if (typeof v === 'string') {
+			return string(v)
+		} else if (Array.isArray(v)) {
+			return v.map(value)
+		} else if (
+			v !== null &&
+			typeof v === 'object' &&
+			[Object.prototype, null].includes(Object.getPrototypeOf(v))
+		) {
+			const copy = {}
+			for (const [k, item] of Object.entries(v)) {
+				copy[k] = isSensitive(k) ? redacted : value(item)
+			}
+			return copy
+		} else {
+			return v
+		}
+	}
+
+	function error(err) {
+		err.message = string(err.message)
+		for (const [k, item] of Object.entries(err)) {
+			if (k === 'headers' && item !== undefined && item !== null) {
+				err.headers = headers(item)
+			} else {
+				err[k] = isSensitive(k) ? redacted : value(item)
+			}
+		}
+		return err
+	}
+
+	function headers(h) {
+		const entries = [...(h.entries !== undefined ? h.entries() : [])]
+		if (!entries.some(([name]) => isSensitive(name))) return h
+		return new Map(
+			entries.map(([name, v]) => [name, isSensitive(name) ? redacted : v])
+		)
+	}
+}
+
+// delta-seconds or an HTTP-date, in milliseconds from now
+function parseRetryAfter(value, now) {
+	if (value === null || value === undefined) return undefined
+	const trimmed = value.trim()
+	if (/^\d+(\.\d+)?$/.test(trimmed)) return Number(trimmed) * 1000
+	const date = Date.parse(trimmed)
+	if (Number.isNaN(date)) return undefined
+	return Math.max(0, date - now())
+}
+
+// "RateLimit-*" (IETF draft) or "X-RateLimit-*" headers, "reset" is converted
+// to milliseconds from now
+function parseRateLimit(headers, now) {
+	const get = (name) => {
+		const value =
+			headers.get(`ratelimit-${name}`) ||
+			headers.get(`x-ratelimit-${name}`)
+		if (!value) return undefined
+		// drop any policy parameters, e.g. "100, 100;w=60"
+		const n = Number(value.split(/[,;]/)[0].trim())
+		return Number.isFinite(n) && n >= 0 ? n : undefined
+	}
+	const budget = {}
+	const limit = get('limit')
+	const remaining = get('remaining')
+	const reset = get('reset')
+	if (limit !== undefined) budget.limit = limit
+	if (remaining !== undefined) budget.remaining = remaining
+	if (reset !== undefined) {
+		// large values are epoch seconds rather than delta-seconds
+		budget.reset =
+			reset > 1e9 ? Math.max(0, reset * 1000 - now()) : reset * 1000
+	}
+	return budget
+}
+
+function safeDecode(str) {
+	try {
+		return decodeURIComponent(str)
+	} catch (err) {
+		return str
+	}
+}
+
+const ndjsonTypes = [
+	'application/x-ndjson',
+	'application/ndjson',
+	'application/jsonl',
+	'application/x-jsonlines',
+]
+
+// Responses without a content type are treated as NDJSON
+function formatOf(contentType) {
+	const type = contentType
+		? contentType.split(';')[0].trim().toLowerCase()
+		: 'application/x-ndjson'
+	if (ndjsonTypes.includes(type)) {
+		return 'ndjson'
+	} else if (type === 'application/json' || type.endsWith('+json')) {
+		return 'json'
+	} else if (type.startsWith('text/')) {
+		return 'text'
+	} else {
+		return 'binary'
+	}
+}
+
 function getReader(body) {
 	if (body.getReader !== undefined) {
 		return body.getReader()
@@ -1,8 +1,10 @@
 'use strict'
 
 const {pull, collect} = require('pull-stream')
+const fs = require('fs')
 const test = require('tape')
 const request = require('./')
+const testing = require('./testing')
 
 test((t) => {
 	t.equal(typeof request, 'function')
@@ -10,6 +12,16 @@ test((t) => {
 	t.equal(typeof request.TimeoutError, 'function')
 	t.equal(typeof request.ServerError, 'function')
 	t.equal(typeof request.ResponseError, 'function')
+	t.equal(typeof request.AbortError, 'function')
+	t.equal(typeof request.AuthenticationError, 'function')
+	t.equal(typeof request.ProtocolError, 'function')
+	t.equal(typeof request.CircuitOpenError, 'function')
+	t.equal(typeof request.create, 'function')
+	t.equal(typeof request.createLimiter, 'function')
+	t.equal(typeof request.createScheduler, 'function')
+	t.equal(typeof request.createCache, 'function')
+	t.equal(typeof request.createCircuitBreaker, 'function')
+	t.equal(typeof request.paginate, 'function')
 	t.end()
 })
 
@@ -48,6 +60,139 @@ test('input validation', (t) => {
 	t.throws(() => r('foo', {version: 1, data: '?test'}), {
 		message: 'Unexpected type of "data", got "string" expected "object"',
 	})
+	t.throws(() => r('foo', {version: 1, retry: null}), {
+		message:
+			'Unexpected value of "retry", got "null" expected "boolean" or "object"',
+	})
+	t.throws(() => r('foo', {version: 1, retry: 5}), {
+		message:
+			'Unexpected type of "retry", got "number" expected "boolean" or "object"',
+	})
+	t.throws(() => r('foo', {version: 1, resume: null}), {
+		message:
+			'Unexpected value of "resume", got "null" expected "boolean" or "object"',
+	})
+	t.throws(() => r('foo', {version: 1, resume: 'id'}), {
+		message:
+			'Unexpected type of "resume", got "string" expected "boolean" or "object"',
+	})
+	t.throws(() => r('foo', {version: 1, idempotencyKey: ''}), {
+		message:
+			'Unexpected "idempotencyKey", got "" expected a non-empty string or "true"',
+	})
+	t.throws(() => r('foo', {version: 1, idempotencyKey: false}), {
+		message:
+			'Unexpected "idempotencyKey", got "false" expected a non-empty string or "true"',
+	})
+	t.throws(() => r('foo', {version: 1, method: 'get'}), {
+		message:
+			'Unexpected "method", got "get" expected one of "GET", "POST", "PUT", "PATCH", "DELETE"',
+	})
+	t.throws(() => r('foo', {version: 1, method: 'GET', data: {}}), {
+		message: 'Unexpected "data" for a "GET" request',
+	})
+	t.throws(() => r('foo', {version: 1, auth: null}), {
+		message: 'Unexpected value of "auth", got "null" expected "object"',
+	})
+	t.throws(() => r('foo', {version: 1, auth: 'key'}), {
+		message: 'Unexpected type of "auth", got "string" expected "object"',
+	})
+	t.throws(() => r('foo', {version: 1, auth: {}}), {
+		message: 'Unexpected "auth", expected either a "key" or a "token"',
+	})
+	t.throws(() => r('foo', {version: 1, auth: {key: 'a', token: 'b'}}), {
+		message: 'Unexpected "auth", expected either a "key" or a "token"',
+	})
+	t.throws(
+		() =>
+			r('foo', {
+				version: 1,
+				auth: {token: 'a', onUnauthorized: () => {}},
+			}),
+		{
+			message:
+				'Unexpected "auth.onUnauthorized", expected a function used with a "token" function',
+		}
+	)
+	t.throws(() => r('foo', {version: 1, headers: null}), {
+		message: 'Unexpected value of "headers", got "null" expected "object"',
+	})
+	t.throws(() => r('foo', {version: 1, headers: 'X-Foo: bar'}), {
+		message: 'Unexpected type of "headers", got "string" expected "object"',
+	})
+	t.throws(() => r('foo', {version: 1, middleware: {}}), {
+		message:
+			'Unexpected type of "middleware", got "object" expected "array"',
+	})
+	t.throws(() => r('foo', {version: 1, middleware: [{request: true}]}), {
+		message:
+			'Unexpected "middleware[0]", expected an object of "request", "response", "item", "error" functions',
+	})
+	t.throws(() => r('foo', {version: 1, idleTimeout: -1}), {
+		message:
+			'Unexpected "idleTimeout", got "-1" expected a non-negative number',
+	})
+	t.throws(() => r('foo', {version: 1, connectTimeout: '5'}), {
+		message:
+			'Unexpected "connectTimeout", got "5" expected a non-negative number',
+	})
+	t.throws(() => r('foo', {version: 1, totalTimeout: NaN}), {
+		message:
+			'Unexpected "totalTimeout", got "NaN" expected a non-negative number',
+	})
+	t.throws(() => r('foo', {version: 1, redact: null}), {
+		message:
+			'Unexpected value of "redact", got "null" expected "boolean" or "object"',
+	})
+	t.throws(() => r('foo', {version: 1, redact: 'yes'}), {
+		message:
+			'Unexpected type of "redact", got "string" expected "boolean" or "object"',
+	})
+	t.throws(() => r('foo', {version: 1, redact: {keys: 'cvc'}}), {
+		message:
+			'Unexpected "redact", expected "keys" and "patterns" to be arrays',
+	})
+	t.throws(() => r('foo', {version: 1, metrics: 'yes'}), {
+		message:
+			'Unexpected type of "metrics", got "string" expected "boolean"',
+	})
+	t.throws(() => r('foo', {version: 1, tracer: {}}), {
+		message:
+			'Unexpected "tracer", expected an object with a "startSpan" function',
+	})
+	t.throws(() => r('foo', {version: 1, limiter: {}}), {
+		message:
+			'Unexpected "limiter", expected an object with "acquire" and "pause" functions',
+	})
+	t.throws(() => r('foo', {version: 1, scheduler: {}}), {
+		message:
+			'Unexpected "scheduler", expected an object with "acquire" and "release" functions',
+	})
+	t.throws(() => r('foo', {version: 1, priority: '1'}), {
+		message: 'Unexpected "priority", got "1" expected a finite number',
+	})
+	t.throws(() => r('foo', {version: 1, dedupe: 1}), {
+		message: 'Unexpected type of "dedupe", got "number" expected "boolean"',
+	})
+	t.throws(() => r('foo', {version: 1, cache: {}}), {
+		message:
+			'Unexpected "cache", expected an object with "get" and "set" functions',
+	})
+	t.throws(() => r('foo', {version: 1, circuitBreaker: {}}), {
+		message:
+			'Unexpected "circuitBreaker", expected an object with "check" and "record" functions',
+	})
+	t.throws(() => r('foo', {version: 1, strict: 1}), {
+		message: 'Unexpected type of "strict", got "number" expected "boolean"',
+	})
+	t.throws(() => r('foo', {version: 1, signal: null}), {
+		message:
+			'Unexpected value of "signal", got "null" expected "AbortSignal"',
+	})
+	t.throws(() => r('foo', {version: 1, signal: true}), {
+		message:
+			'Unexpected type of "signal", got "boolean" expected "AbortSignal"',
+	})
 	t.end()
 })
 
@@ -211,6 +356,10 @@ test('.first', (t) => {
 		request('foo', {
 			log: (l) => logs.push(l),
 			fetch: createFetch({
+				headers: new Map([
+					['content-type', 'application/x-ndjson'],
+					['x-request-id', '<some id>'],
+				]),
 				chunks: [{bar: 'baz'}, {baz: 'bar'}],
 			}),
 			version: 1,
@@ -307,7 +456,7 @@ test('.forEach', (t) => {
 })
 
 test('ResponseError', (t) => {
-	t.plan(6)
+	t.plan(7)
 	const logs = []
 	pull(
 		request('foo', {
@@ -328,6 +477,7 @@ test('ResponseError', (t) => {
 			t.equal(err.code, 'SOME_CODE', 'code')
 			t.equal(err.message, 'Text message', 'message')
 			t.equal(err.requestId, '<some id>', 'request ID')
+			t.equal(err.status, 400, 'status')
 			t.deepEqual(logs, [
 				{
 					t: 'request',
@@ -348,6 +498,7 @@ test('ResponseError', (t) => {
 						message: 'Text message',
 						code: 'SOME_CODE',
 						requestId: '<some id>',
+						status: 400,
 						stack: err.stack,
 					},
 				},
@@ -458,6 +609,56 @@ test('RateLimitError', (t) => {
 	)
 })
 
+test('RateLimitError with an HTTP-date and rate limit headers', (t) => {
+	t.plan(5)
+	pull(
+		request('foo', {
+			clock: testing.createClock({
+				start: Date.parse('2021-01-01T00:00:00Z'),
+			}),
+			fetch: createFetch({
+				status: 429,
+				headers: new Map([
+					['retry-after', 'Fri, 01 Jan 2021 00:00:30 GMT'],
+					['ratelimit-limit', '100, 100;w=60'],
+					['ratelimit-remaining', '0'],
+					['ratelimit-reset', '30'],
+				]),
+			}),
+			version: 1,
+		}),
+		collect((err) => {
+			t.ok(err instanceof request.RateLimitError)
+			t.equal(err.retryAfter, 30000)
+			t.equal(err.limit, 100)
+			t.equal(err.remaining, 0)
+			t.equal(err.reset, 30000)
+		})
+	)
+})
+
+test('rate limit headers on a successful response', (t) => {
+	t.plan(2)
+	const start = Date.parse('2021-01-01T00:00:00Z')
+	const source = request('foo', {
+		clock: testing.createClock({start}),
+		fetch: createFetch({
+			headers: new Map([
+				['content-type', 'application/x-ndjson'],
+				['x-ratelimit-limit', '60'],
+				['x-ratelimit-remaining', '59'],
+				['x-ratelimit-reset', String(start / 1000 + 10)],
+			]),
+			chunks: [{a: 1}],
+		}),
+		version: 1,
+	})
+	t.deepEqual(source.rateLimit, {})
+	source.toArray().then(() => {
+		t.deepEqual(source.rateLimit, {limit: 60, remaining: 59, reset: 10000})
+	})
+})
+
 test('using a query', (t) => {
 	t.plan(1)
 	const logs = []
@@ -560,7 +761,7 @@ test('custom "clock"', (t) => {
 		request('foo', {
 			log: (l) => logs.push(l),
 			fetch: createFetch({log: (l) => logs.push(l)}),
-			clock: createClock((l) => logs.push(l)),
+			clock: testing.createClock({start: 1, log: (l) => logs.push(l)}),
 			version: 1,
 		}),
 		collect(() => {
@@ -609,7 +810,7 @@ test('default timeout is scheduled', (t) => {
 		request('foo', {
 			log: (l) => logs.push(l),
 			fetch: createFetch({log: (l) => logs.push(l)}),
-			clock: createClock((l) => logs.push(l)),
+			clock: testing.createClock({start: 1, log: (l) => logs.push(l)}),
 			version: 1,
 		}),
 		collect(() => {
@@ -658,7 +859,7 @@ test('custom "timeout', (t) => {
 		request('foo', {
 			log: (l) => logs.push(l),
 			fetch: createFetch({log: (l) => logs.push(l)}),
-			clock: createClock((l) => logs.push(l)),
+			clock: testing.createClock({start: 1, log: (l) => logs.push(l)}),
 			timeout: 7000,
 			timeout: 5000,
 			version: 1,
@@ -703,9 +904,9 @@ test('custom "timeout', (t) => {
 })
 
 test('timeout ends request', (t) => {
-	t.plan(5)
+	t.plan(6)
 	const logs = []
-	const clock = createClock((l) => logs.push(l))
+	const clock = testing.createClock({start: 1, log: (l) => logs.push(l)})
 	pull(
 		request('foo', {
 			log: (l) => logs.push(l),
@@ -718,6 +919,7 @@ test('timeout ends request', (t) => {
 			t.ok(err instanceof request.TimeoutError)
 			t.equal(err.message, 'Request timed out after 10 seconds.')
 			t.equal(err.timeout, 10000)
+			t.equal(err.phase, 'total')
 			t.deepEqual(logs, [
 				{
 					t: 'request',
@@ -733,6 +935,7 @@ test('timeout ends request', (t) => {
 						name: 'TimeoutError',
 						message: 'Request timed out after 10 seconds.',
 						timeout: 10000,
+						phase: 'total',
 						stack: err.stack,
 					},
 				},
@@ -746,7 +949,7 @@ test('timeout ends request', (t) => {
 test('timeout during reading ends request', (t) => {
 	t.plan(1)
 	const logs = []
-	const clock = createClock((l) => logs.push(l))
+	const clock = testing.createClock({start: 1, log: (l) => logs.push(l)})
 	pull(
 		request('foo', {
 			log: (l) => logs.push(l),
@@ -790,6 +993,7 @@ test('timeout during reading ends request', (t) => {
 						name: 'TimeoutError',
 						message: 'Request timed out after 10 seconds.',
 						timeout: 10000,
+						phase: 'total',
 						stack: err.stack,
 					},
 				},
@@ -804,7 +1008,7 @@ test('timeout during reading ends request', (t) => {
 test('timeout errors reject promises returned by .first', (t) => {
 	t.plan(2)
 	const logs = []
-	const clock = createClock((l) => logs.push(l))
+	const clock = testing.createClock({start: 1, log: (l) => logs.push(l)})
 	request('foo', {
 		log: (l) => logs.push(l),
 		fetch: () => new Promise(() => undefined),
@@ -822,7 +1026,7 @@ test('timeout errors reject promises returned by .first', (t) => {
 test('timeout errors reject promises returned by .toArray', (t) => {
 	t.plan(2)
 	const logs = []
-	const clock = createClock((l) => logs.push(l))
+	const clock = testing.createClock({start: 1, log: (l) => logs.push(l)})
 	request('foo', {
 		log: (l) => logs.push(l),
 		fetch: () => new Promise(() => undefined),
@@ -840,7 +1044,7 @@ test('timeout errors reject promises returned by .toArray', (t) => {
 test('timeout errors reject promises returned by .forEach', (t) => {
 	t.plan(2)
 	const logs = []
-	const clock = createClock((l) => logs.push(l))
+	const clock = testing.createClock({start: 1, log: (l) => logs.push(l)})
 	request('foo', {
 		log: (l) => logs.push(l),
 		fetch: () => new Promise(() => undefined),
@@ -855,123 +1059,2736 @@ test('timeout errors reject promises returned by .forEach', (t) => {
 	clock.increase(10000)
 })
 
-function createClock(log, start = 1) {
-	let now = start
-	let n = 1
-	const timeouts = new Set()
+test('retry on RateLimitError honors "retryAfter"', (t) => {
+	t.plan(3)
+	const logs = []
+	const clock = testing.createClock({start: 1, log: (l) => logs.push(l)})
+	const fetches = [
+		createFetch({
+			status: 429,
+			headers: new Map([['retry-after', '3']]),
+		}),
+		createFetch({chunks: [{foo: 'bar'}]}),
+	]
+	request('foo', {
+		log: (l) => logs.push(l),
+		fetch: (...args) => fetches.shift()(...args),
+		clock,
+		timeout: 0,
+		retry: true,
+		version: 1,
+	})
+		.first()
+		.then((item) => {
+			t.deepEqual(item, {foo: 'bar'})
+			t.equal(clock.now(), 3001)
+			t.deepEqual(
+				logs.filter((l) => l.t === 'retrying' || l.t === 'setTimeout'),
+				[
+					{
+						t: 'retrying',
+						attempt: 1,
+						retries: 5,
+						delay: 3000,
+						error: {
+							name: 'RateLimitError',
+							message: 'Request got rate limited for 3 seconds.',
+							retryAfter: 3000,
+							stack: logs.find((l) => l.t === 'retrying').error
+								.stack,
+						},
+					},
+					{t: 'setTimeout', ms: 3000, n: 1},
+				]
+			)
+		})
+	clock.increase(3000)
+})
 
-	return {
-		now: () => now,
-		setTimeout,
-		clearTimeout,
-		increase,
-	}
+test('retry uses exponential backoff with jitter', (t) => {
+	t.plan(4)
+	const logs = []
+	const clock = testing.createClock({start: 1, log: (l) => logs.push(l)})
+	let fetched = 0
+	request('foo', {
+		log: (l) => logs.push(l),
+		fetch: (...args) => {
+			fetched++
+			return createFetch({status: 503, headers: new Map()})(...args)
+		},
+		clock,
+		timeout: 0,
+		retry: {retries: 3, delay: 1000, random: () => 0.5},
+		version: 1,
+	})
+		.first()
+		.catch((err) => {
+			t.ok(err instanceof request.ServerError)
+			t.equal(fetched, 4)
+			t.deepEqual(
+				logs.filter((l) => l.t === 'retrying').map((l) => l.delay),
+				[750, 1500, 3000]
+			)
+			t.equal(clock.now(), 5251)
+		})
+	clock.increase(10000)
+})
 
-	function setTimeout(fn, ms) {
-		const timer = {fn, timeout: now + ms, n: n++}
-		log({t: 'setTimeout', ms, n: timer.n})
-		timeouts.add(timer)
-		return timer
-	}
+test('retry on TimeoutError and network failures', (t) => {
+	t.plan(3)
+	const logs = []
+	const clock = testing.createClock({start: 1})
+	const fetches = [
+		() => new Promise(() => undefined),
+		() => Promise.reject(new TypeError('fetch failed')),
+		createFetch({chunks: [{foo: 'bar'}]}),
+	]
+	request('foo', {
+		log: (l) => logs.push(l),
+		fetch: (...args) => fetches.shift()(...args),
+		clock,
+		retry: {random: () => 0},
+		version: 1,
+	})
+		.toArray()
+		.then((items) => {
+			t.deepEqual(items, [{foo: 'bar'}])
+			t.equal(fetches.length, 0)
+			t.deepEqual(
+				logs.filter((l) => l.t === 'retrying').map((l) => l.error.name),
+				['TimeoutError', 'TypeError']
+			)
+		})
+	clock.increase(20000)
+})
 
-	function clearTimeout(timer) {
-		log({t: 'clearTimeout', n: timer.n, cleared: timeouts.has(timer)})
-		timeouts.delete(timer)
+test('retry of requests with side effects requires an idempotency key', (t) => {
+	t.plan(3)
+	const clock = testing.createClock({start: 1})
+	const post = (opts) => {
+		let fetched = 0
+		return request('foo', {
+			fetch: (...args) => {
+				fetched++
+				return fetched === 1
+					? Promise.reject(new TypeError('fetch failed'))
+					: createFetch()(...args)
+			},
+			clock,
+			data: {amount: 1},
+			retry: {random: () => 0},
+			version: 1,
+			...opts,
+		})
+			.toArray()
+			.then(
+				() => fetched,
+				(err) => (t.ok(err instanceof TypeError), fetched)
+			)
 	}
+	Promise.all([post(), post({idempotencyKey: true})]).then((fetched) => {
+		t.deepEqual(fetched, [1, 2])
+	})
+	let fetched = 0
+	request('foo', {
+		fetch: (...args) => {
+			fetched++
+			return createFetch(
+				fetched === 1
+					? {status: 429, statusText: 'Too Many Requests', chunks: []}
+					: {}
+			)(...args)
+		},
+		clock,
+		data: {amount: 1},
+		retry: {random: () => 0},
+		version: 1,
+	})
+		.toArray()
+		.then(() => t.equal(fetched, 2, 'rate limits are retried'))
+	clock.increase(20000)
+})
 
-	function increase(ms) {
-		setImmediate(() => {
-			const future = now + ms
-			if (
-				timeouts.size === 0 ||
-				[...timeouts].every(({timeout}) => timeout > future)
-			) {
-				now = future
-			} else {
-				const smallest = [...timeouts].reduce((a, b) =>
-					b.timeout < a.timeout ? b : a
-				)
-				log({t: 'running timer', n: smallest.n})
-				now = smallest.timeout
-				timeouts.delete(smallest)
-				smallest.fn()
-				increase(future - smallest.timeout)
-			}
+test('retry skips type errors of middleware', (t) => {
+	t.plan(2)
+	let fetched = 0
+	request('foo', {
+		fetch: (...args) => {
+			fetched++
+			return createFetch()(...args)
+		},
+		middleware: [
+			{
+				request: () => {
+					throw new TypeError('middleware bug')
+				},
+			},
+		],
+		retry: true,
+		version: 1,
+	})
+		.first()
+		.catch((err) => {
+			t.equal(err.message, 'middleware bug')
+			t.equal(fetched, 0)
 		})
-	}
-}
+})
 
-function createFetch(opts = {}) {
-	const {
-		log = () => {},
-		status = 200,
-		statusText = 'OK',
-		chunks = [{foo: 'bar'}],
-		onRead,
-		onCancel = () => {},
-	} = opts
-	const headers =
-		opts.headers ||
-		new Map([
-			['content-type', 'application/json'],
-			['x-request-id', '<some id>'],
-		])
-	return (url, opts) => {
-		log({t: 'fetching', url, opts})
-		return Promise.resolve(
-			createResponse({
-				log,
-				status,
-				statusText,
-				headers,
-				chunks,
-				onRead,
-				onCancel,
-			})
-		)
-	}
-}
+test('retry skips non-transient errors', (t) => {
+	t.plan(2)
+	let fetched = 0
+	request('foo', {
+		fetch: (...args) => {
+			fetched++
+			return createFetch({
+				status: 400,
+				chunks: [{code: 'SOME_CODE', message: 'Text message'}],
+			})(...args)
+		},
+		retry: true,
+		version: 1,
+	})
+		.first()
+		.catch((err) => {
+			t.ok(err instanceof request.ResponseError)
+			t.equal(fetched, 1)
+		})
+})
 
-function createResponse({log, status, statusText, headers, chunks, onRead}) {
-	return {
-		status,
-		statusText,
-		headers,
-		body: {
-			getReader: () => createReader({log, chunks, onRead}),
+test('retry does not restart a stream that emitted items', (t) => {
+	t.plan(3)
+	const logs = []
+	let fetched = 0
+	const err = new TypeError('network error')
+	request('foo', {
+		log: (l) => logs.push(l),
+		fetch: (...args) => {
+			fetched++
+			return createFetch({
+				response: testing.response().items({a: 1}).fail(err),
+			})(...args)
 		},
-		json: () => Promise.resolve(chunks[0]),
-	}
-}
+		retry: true,
+		version: 1,
+	})
+		.toArray()
+		.catch((e) => {
+			t.equal(e, err)
+			t.equal(fetched, 1)
+			t.notOk(logs.some((l) => l.t === 'retrying'))
+		})
+})
 
-function createReader({log, chunks, onRead}) {
-	log('reader acquired')
-	const encoder = new TextEncoder()
+test('aborting while waiting for a retry', (t) => {
+	t.plan(3)
+	const logs = []
+	const clock = testing.createClock({start: 1, log: (l) => logs.push(l)})
+	const source = request('foo', {
+		log: (l) => logs.push(l),
+		fetch: createFetch({status: 503, headers: new Map()}),
+		clock,
+		timeout: 0,
+		retry: {random: () => 0},
+		version: 1,
+	})
+	source(null, (end) => t.equal(end, true))
+	setImmediate(() =>
+		source(true, (end) => {
+			t.equal(end, true)
+			t.deepEqual(logs.slice(-2), [
+				{t: 'setTimeout', ms: 500, n: 1},
+				{t: 'clearTimeout', n: 1, cleared: true},
+			])
+		})
+	)
+})
 
-	return {
-		cancel: () => {
-			log('reader cancelled')
+test('"idempotencyKey" is sent with every attempt', (t) => {
+	t.plan(3)
+	const logs = []
+	const clock = testing.createClock({start: 1})
+	const keys = []
+	const fetches = [
+		createFetch({status: 503, headers: new Map()}),
+		createFetch({chunks: [{foo: 'bar'}]}),
+	]
+	request('foo', {
+		log: (l) => logs.push(l),
+		fetch: (url, opts) => {
+			keys.push(opts.headers['Idempotency-Key'])
+			return fetches.shift()(url, opts)
 		},
-		read,
+		clock,
+		timeout: 0,
+		retry: {random: () => 0},
+		idempotencyKey: 'some-key',
+		version: 1,
+		data: {amount: 1},
+	})
+		.first()
+		.then(() => {
+			t.deepEqual(keys, ['some-key', 'some-key'])
+			t.equal(logs[0].idempotencyKey, 'some-key')
+			t.equal(
+				logs.find((l) => l.t === 'retrying').error.idempotencyKey,
+				'some-key'
+			)
+		})
+	clock.increase(1000)
+})
+
+test('"idempotencyKey" can be generated', (t) => {
+	t.plan(3)
+	const keys = []
+	const fetch = (url, opts) => {
+		keys.push(opts.headers['Idempotency-Key'])
+		return createFetch()(url, opts)
 	}
+	Promise.all([
+		request('foo', {fetch, idempotencyKey: true, version: 1}).first(),
+		request('foo', {fetch, idempotencyKey: true, version: 1}).first(),
+	]).then(() => {
+		t.equal(typeof keys[0], 'string')
+		t.ok(keys[0].length >= 32)
+		t.notEqual(keys[0], keys[1])
+	})
+})
 
-	function read() {
-		log('reading')
-		if (onRead !== undefined) {
-			return onRead()
-		} else {
-			return new Promise((resolve, reject) =>
-				resolve(
-					chunks.length > 0
-						? {
-								value: encoder.encode(
-									JSON.stringify(chunks.shift()) + '\n'
-								),
-								done: false,
-						  }
-						: {done: true}
-				)
-			)
+test('"idempotencyKey" is exposed on errors', (t) => {
+	t.plan(4)
+	const clock = testing.createClock({start: 1})
+	const r = (fetch) =>
+		request('foo', {
+			fetch,
+			clock,
+			idempotencyKey: 'some-key',
+			version: 1,
+		})
+			.first()
+			.catch((err) => err)
+	Promise.all([
+		r(
+			createFetch({
+				status: 400,
+				chunks: [{code: 'SOME_CODE', message: 'Text message'}],
+			})
+		),
+		r(createFetch({status: 500, headers: new Map()})),
+		r(createFetch({status: 429, headers: new Map()})),
+		r(() => new Promise(() => undefined)),
+	]).then((errs) => {
+		t.ok(errs[0] instanceof request.ResponseError)
+		t.ok(errs[1] instanceof request.ServerError)
+		t.ok(errs[3] instanceof request.TimeoutError)
+		t.deepEqual(
+			errs.map((err) => err.idempotencyKey),
+			['some-key', 'some-key', 'some-key', 'some-key']
+		)
+	})
+	clock.increase(10000)
+})
+
+test('"idempotencyKey" is exposed on errors before sending', (t) => {
+	t.plan(4)
+	const circuitBreaker = request.createCircuitBreaker({minRequests: 1})
+	circuitBreaker.record('foo', true, () => undefined)
+	const controller = new AbortController()
+	controller.abort()
+	const r = (opts) =>
+		request('foo', {
+			fetch: createFetch({status: 401, headers: new Map()}),
+			idempotencyKey: 'some-key',
+			version: 1,
+			...opts,
+		})
+			.first()
+			.catch((err) => err)
+	Promise.all([
+		r({circuitBreaker}),
+		r({
+			auth: {
+				token: () => 'token',
+				onUnauthorized: () => Promise.reject(new Error('expired')),
+			},
+		}),
+		r({signal: controller.signal}),
+	]).then((errs) => {
+		t.ok(errs[0] instanceof request.CircuitOpenError)
+		t.ok(errs[1] instanceof request.AuthenticationError)
+		t.ok(errs[2] instanceof request.AbortError)
+		t.deepEqual(
+			errs.map((err) => err.idempotencyKey),
+			['some-key', 'some-key', 'some-key']
+		)
+	})
+})
+
+test('"fetch" is aborted on timeout', (t) => {
+	t.plan(2)
+	const clock = testing.createClock({start: 1})
+	let signal
+	request('foo', {
+		fetch: (url, opts) => {
+			signal = opts.signal
+			return new Promise(() => undefined)
+		},
+		clock,
+		version: 1,
+	})
+		.first()
+		.catch((err) => {
+			t.ok(err instanceof request.TimeoutError)
+			t.ok(signal.aborted)
+		})
+	clock.increase(10000)
+})
+
+test('"fetch" is aborted when closing the stream', (t) => {
+	t.plan(3)
+	let signal
+	const source = request('foo', {
+		fetch: (url, opts) => {
+			signal = opts.signal
+			return createFetch({chunks: [{a: 1}, {b: 2}]})(url, opts)
+		},
+		version: 1,
+	})
+	source(null, (end, item) => {
+		t.deepEqual(item, {a: 1})
+		t.notOk(signal.aborted)
+		source(true, () => t.ok(signal.aborted))
+	})
+})
+
+test('"signal" aborts the request', (t) => {
+	t.plan(5)
+	const logs = []
+	const controller = new AbortController()
+	let signal
+	request('foo', {
+		log: (l) => logs.push(l),
+		fetch: (url, opts) => {
+			signal = opts.signal
+			return new Promise(() => undefined)
+		},
+		signal: controller.signal,
+		timeout: 0,
+		version: 1,
+	})
+		.first()
+		.catch((err) => {
+			t.ok(err instanceof request.AbortError)
+			t.equal(err.message, 'Request was aborted.')
+			t.equal(err.reason, 'some reason')
+			t.ok(signal.aborted)
+			t.deepEqual(logs[1], {
+				t: 'aborted',
+				abort: {
+					name: 'AbortError',
+					message: 'Request was aborted.',
+					reason: 'some reason',
+					stack: err.stack,
+				},
+			})
+		})
+	setImmediate(() => controller.abort('some reason'))
+})
+
+test('"signal" aborted before the request', (t) => {
+	t.plan(2)
+	const controller = new AbortController()
+	controller.abort()
+	let fetched = false
+	request('foo', {
+		fetch: () => {
+			fetched = true
+			return new Promise(() => undefined)
+		},
+		signal: controller.signal,
+		version: 1,
+	})
+		.first()
+		.catch((err) => {
+			t.ok(err instanceof request.AbortError)
+			t.notOk(fetched)
+		})
+})
+
+test('"signal" cancels a pending retry', (t) => {
+	t.plan(2)
+	const clock = testing.createClock({start: 1})
+	const controller = new AbortController()
+	let fetched = 0
+	request('foo', {
+		fetch: (...args) => {
+			fetched++
+			return createFetch({status: 503, headers: new Map()})(...args)
+		},
+		signal: controller.signal,
+		clock,
+		timeout: 0,
+		retry: true,
+		version: 1,
+	})
+		.first()
+		.catch((err) => {
+			t.ok(err instanceof request.AbortError)
+			t.equal(fetched, 1)
+		})
+	setImmediate(() => controller.abort())
+})
+
+test('explicit "method"', (t) => {
+	const cases = [
+		['GET', undefined, undefined],
+		['POST', undefined, undefined],
+		['POST', {a: 1}, '{"a":1}'],
+		['PUT', {a: 1}, '{"a":1}'],
+		['PATCH', {a: 1}, '{"a":1}'],
+		['DELETE', undefined, undefined],
+		['DELETE', {a: 1}, '{"a":1}'],
+	]
+	t.plan(cases.length * 3)
+	for (const [method, data, body] of cases) {
+		const logs = []
+		request('foo', {
+			fetch: createFetch({log: (l) => logs.push(l)}),
+			version: 1,
+			method,
+			data,
+		})
+			.toArray()
+			.then(() => {
+				const {opts} = logs.find((l) => l.t === 'fetching')
+				t.equal(opts.method, method, `${method} method`)
+				t.equal(opts.body, body, `${method} body`)
+				t.equal(
+					opts.headers['Content-Type'],
+					body !== undefined ? 'application/json' : undefined,
+					`${method} content type`
+				)
+			})
+	}
+})
+
+test('"method" defaults to POST when sending data', (t) => {
+	t.plan(2)
+	const logs = []
+	request('foo', {
+		fetch: createFetch({log: (l) => logs.push(l)}),
+		version: 1,
+		data: {a: 1},
+	})
+		.toArray()
+		.then(() => {
+			const {opts} = logs.find((l) => l.t === 'fetching')
+			t.equal(opts.method, 'POST')
+			t.equal(opts.body, '{"a":1}')
+		})
+})
+
+test('"auth" with an app key', (t) => {
+	t.plan(2)
+	const logs = []
+	const fetchLogs = []
+	request('foo', {
+		log: (l) => logs.push(l),
+		fetch: createFetch({log: (l) => fetchLogs.push(l)}),
+		auth: {key: 'secret-key'},
+		version: 1,
+	})
+		.first()
+		.then(() => {
+			t.equal(
+				fetchLogs[0].opts.headers.Authorization,
+				'Basic ' + Buffer.from(':secret-key').toString('base64')
+			)
+			t.notOk(JSON.stringify(logs).includes('secret-key'))
+		})
+})
+
+test('"auth" with a token', (t) => {
+	t.plan(2)
+	const logs = []
+	const fetchLogs = []
+	request('foo', {
+		log: (l) => logs.push(l),
+		fetch: createFetch({log: (l) => fetchLogs.push(l)}),
+		auth: {token: 'secret-token'},
+		version: 1,
+	})
+		.first()
+		.then(() => {
+			t.equal(
+				fetchLogs[0].opts.headers.Authorization,
+				'Bearer secret-token'
+			)
+			t.notOk(JSON.stringify(logs).includes('secret-token'))
+		})
+})
+
+test('"auth" with a token provider', (t) => {
+	t.plan(3)
+	const clock = testing.createClock({start: 1})
+	const fetchLogs = []
+	const fetches = [
+		createFetch({status: 503, headers: new Map()}),
+		createFetch(),
+	]
+	let n = 0
+	request('foo', {
+		fetch: (url, opts) => {
+			fetchLogs.push(opts)
+			return fetches.shift()(url, opts)
+		},
+		auth: {token: () => Promise.resolve(`token-${++n}`)},
+		retry: {random: () => 0},
+		clock,
+		timeout: 0,
+		version: 1,
+	})
+		.first()
+		.then((item) => {
+			t.deepEqual(item, {foo: 'bar'})
+			t.equal(fetchLogs[0].headers.Authorization, 'Bearer token-1')
+			t.equal(fetchLogs[1].headers.Authorization, 'Bearer token-2')
+		})
+	clock.increase(1000)
+})
+
+test('failing token provider', (t) => {
+	t.plan(2)
+	const err = new Error('no token')
+	let fetched = false
+	request('foo', {
+		fetch: () => {
+			fetched = true
+		},
+		auth: {token: () => Promise.reject(err)},
+		version: 1,
+	})
+		.first()
+		.catch((e) => {
+			t.equal(e, err)
+			t.notOk(fetched)
+		})
+})
+
+test('custom "headers"', (t) => {
+	t.plan(1)
+	const fetchLogs = []
+	request('foo', {
+		fetch: createFetch({log: (l) => fetchLogs.push(l)}),
+		headers: {'X-Foo': 'bar', 'Accept-Version': 2},
+		version: 1,
+	})
+		.first()
+		.then(() => {
+			t.deepEqual(fetchLogs[0].opts.headers, {
+				'X-Foo': 'bar',
+				'X-Client': 'js-1',
+				'Accept-Version': 1,
+			})
+		})
+})
+
+test('"auth.onUnauthorized" renews once for concurrent requests', (t) => {
+	t.plan(5)
+	const logs = []
+	let token = 'expired'
+	let renewals = 0
+	const auth = {
+		token: () => Promise.resolve(token),
+		onUnauthorized: () => {
+			renewals++
+			return new Promise((resolve) =>
+				setImmediate(() => {
+					token = 'fresh'
+					resolve()
+				})
+			)
+		},
+	}
+	const fetch = (url, opts) =>
+		opts.headers.Authorization === 'Bearer fresh'
+			? createFetch()(url, opts)
+			: createFetch({
+					status: 401,
+					chunks: [{code: 'UNAUTHORIZED', message: 'Unauthorized'}],
+			  })(url, opts)
+	const r = () =>
+		request('foo', {log: (l) => logs.push(l), fetch, auth, version: 1})
+	Promise.all([r().first(), r().first()]).then((items) => {
+		t.deepEqual(items, [{foo: 'bar'}, {foo: 'bar'}])
+		t.equal(renewals, 1)
+		const reauth = logs.filter((l) => l.t === 'reauthenticating')
+		t.equal(reauth.length, 2)
+		t.equal(reauth[0].error.status, 401)
+		t.equal(logs.filter((l) => l.t === 'request').length, 4)
+	})
+})
+
+test('"auth.onUnauthorized" replays only once', (t) => {
+	t.plan(3)
+	let fetched = 0
+	let renewals = 0
+	request('foo', {
+		fetch: (...args) => {
+			fetched++
+			return createFetch({status: 401, headers: new Map()})(...args)
+		},
+		auth: {
+			token: () => 'token',
+			onUnauthorized: () => {
+				renewals++
+			},
+		},
+		version: 1,
+	})
+		.first()
+		.catch((err) => {
+			t.ok(err instanceof request.ServerError)
+			t.equal(fetched, 2)
+			t.equal(renewals, 1)
+		})
+})
+
+test('failing renewal', (t) => {
+	t.plan(3)
+	const logs = []
+	const cause = new Error('no refresh token')
+	request('foo', {
+		log: (l) => logs.push(l),
+		fetch: createFetch({status: 401, headers: new Map()}),
+		auth: {
+			token: () => 'token',
+			onUnauthorized: () => Promise.reject(cause),
+		},
+		version: 1,
+	})
+		.first()
+		.catch((err) => {
+			t.ok(err instanceof request.AuthenticationError)
+			t.equal(err.cause, cause)
+			t.equal(logs.filter((l) => l.t === 'request').length, 1)
+		})
+})
+
+test('request.create', (t) => {
+	t.plan(6)
+	const fetchLogs = []
+	const logs = []
+	const client = request.create({
+		endpoint: 'api.paylike.io/',
+		version: 1,
+		headers: {'X-Foo': 'foo'},
+		log: (l) => logs.push(l),
+		fetch: createFetch({
+			log: (l) => l.t === 'fetching' && fetchLogs.push(l),
+		}),
+	})
+	Promise.all([
+		client.get('/merchants', {query: {limit: 1}}).first(),
+		client
+			.post('merchants', {name: 'Shop'}, {headers: {'X-Bar': 'bar'}})
+			.first(),
+		client.delete('merchants/1', {version: 2}).first(),
+		client('merchants').first(),
+	]).then(() => {
+		t.deepEqual(
+			fetchLogs.map((l) => [l.opts.method, l.url]),
+			[
+				['GET', 'https://api.paylike.io/merchants?limit=1'],
+				['POST', 'https://api.paylike.io/merchants'],
+				['DELETE', 'https://api.paylike.io/merchants/1'],
+				['GET', 'https://api.paylike.io/merchants'],
+			]
+		)
+		t.equal(fetchLogs[1].opts.body, '{"name":"Shop"}')
+		t.deepEqual(fetchLogs[1].opts.headers, {
+			'X-Foo': 'foo',
+			'X-Bar': 'bar',
+			'X-Client': 'js-1',
+			'Accept-Version': 1,
+			'Content-Type': 'application/json',
+		})
+		t.equal(fetchLogs[2].opts.headers['Accept-Version'], 2)
+		t.equal(fetchLogs[0].opts.headers['X-Foo'], 'foo')
+		t.equal(logs.filter((l) => l.t === 'request').length, 4)
+	})
+})
+
+test('client.extend', (t) => {
+	t.plan(3)
+	const fetchLogs = []
+	const client = request.create({
+		endpoint: 'api.paylike.io',
+		version: 1,
+		headers: {'X-Foo': 'foo'},
+		fetch: createFetch({
+			log: (l) => l.t === 'fetching' && fetchLogs.push(l),
+		}),
+	})
+	const child = client.extend({
+		endpoint: 'vault.paylike.io',
+		headers: {'X-Bar': 'bar'},
+	})
+	Promise.all([
+		child.put('tokens', {a: 1}).first(),
+		client.patch('merchants/1', {a: 1}).first(),
+	]).then(() => {
+		t.deepEqual(
+			fetchLogs.map((l) => [l.opts.method, l.url]),
+			[
+				['PUT', 'https://vault.paylike.io/tokens'],
+				['PATCH', 'https://api.paylike.io/merchants/1'],
+			]
+		)
+		t.equal(fetchLogs[0].opts.headers['X-Bar'], 'bar')
+		t.equal(fetchLogs[0].opts.headers['X-Foo'], 'foo')
+	})
+})
+
+test('request.create input validation', (t) => {
+	t.throws(() => request.create(null), {
+		message: 'Unexpected type of "defaults", got "null" expected "object"',
+	})
+	t.throws(() => request.create({endpoint: 1}), {
+		message:
+			'Unexpected type of "endpoint", got "number" expected "string"',
+	})
+	t.throws(() => request.create({fetch: () => undefined})('foo'), {
+		message:
+			'Unexpected "version", got "undefined" expected a positive integer',
+	})
+	t.end()
+})
+
+test('"middleware" hooks run in order', (t) => {
+	t.plan(3)
+	const calls = []
+	const fetchLogs = []
+	request('foo', {
+		fetch: createFetch({
+			chunks: [{a: 1}, {a: 2}],
+			log: (l) => l.t === 'fetching' && fetchLogs.push(l),
+		}),
+		middleware: [
+			{
+				request: (req) => {
+					calls.push('request 1')
+					req.headers['X-Signature'] = `signed ${req.body}`
+				},
+				response: (head) => {
+					calls.push(`response 1 ${head.status}`)
+				},
+				item: (item) => ({...item, b: 1}),
+			},
+			{
+				request: (req) => {
+					calls.push('request 2')
+					req.url += '/v2'
+				},
+				item: (item, req) => ({...item, method: req.method}),
+			},
+		],
+		version: 1,
+		data: {c: 1},
+	})
+		.toArray()
+		.then((items) => {
+			t.deepEqual(items, [
+				{a: 1, b: 1, method: 'POST'},
+				{a: 2, b: 1, method: 'POST'},
+			])
+			t.deepEqual(calls, ['request 1', 'request 2', 'response 1 200'])
+			t.deepEqual(
+				[fetchLogs[0].url, fetchLogs[0].opts.headers['X-Signature']],
+				['https://foo/v2', 'signed {"c":1}']
+			)
+		})
+})
+
+test('"middleware" can short-circuit with a response', (t) => {
+	t.plan(3)
+	let fetched = false
+	const synthetic = createFetch({chunks: [{cached: true}]})
+	const seen = []
+	request('foo', {
+		fetch: () => {
+			fetched = true
+		},
+		middleware: [
+			{request: (req) => synthetic(req.url, req)},
+			{
+				request: () => {
+					seen.push('skipped')
+				},
+				response: (head) => {
+					seen.push(head.status)
+				},
+			},
+		],
+		version: 1,
+	})
+		.toArray()
+		.then((items) => {
+			t.deepEqual(items, [{cached: true}])
+			t.notOk(fetched)
+			t.deepEqual(seen, [200])
+		})
+})
+
+test('"middleware" can replace the response and map errors', (t) => {
+	t.plan(3)
+	class NotFound extends Error {}
+	request('foo', {
+		fetch: createFetch({status: 200}),
+		middleware: [
+			{
+				response: () =>
+					createFetch({status: 404, headers: new Map()})('foo', {}),
+			},
+			{
+				error: (err, req) =>
+					err instanceof request.ServerError && err.status === 404
+						? Object.assign(new NotFound(req.url), {cause: err})
+						: undefined,
+			},
+		],
+		version: 1,
+	})
+		.first()
+		.catch((err) => {
+			t.ok(err instanceof NotFound)
+			t.equal(err.message, 'https://foo')
+			t.ok(err.cause instanceof request.ServerError)
+		})
+})
+
+test('"middleware" errors of the "error" hook end the stream', (t) => {
+	t.plan(2)
+	const thrown = new Error('hook failed')
+	const calls = []
+	request('foo', {
+		fetch: createFetch({status: 500, headers: new Map()}),
+		middleware: [
+			{
+				error: () => {
+					throw thrown
+				},
+			},
+			{
+				error: () => {
+					calls.push('next')
+				},
+			},
+		],
+		version: 1,
+	})
+		.toArray()
+		.catch((err) => {
+			t.equal(err, thrown)
+			t.deepEqual(calls, [])
+		})
+})
+
+test('"middleware" with a client', (t) => {
+	t.plan(1)
+	const calls = []
+	const client = request.create({
+		fetch: createFetch(),
+		version: 1,
+		middleware: [
+			{
+				request: () => {
+					calls.push('default')
+				},
+			},
+		],
+	})
+	client
+		.get('foo', {
+			middleware: [
+				{
+					request: () => {
+						calls.push('call')
+					},
+				},
+			],
+		})
+		.first()
+		.then(() => t.deepEqual(calls, ['default', 'call']))
+})
+
+test('async iteration', async (t) => {
+	const logs = []
+	const items = []
+	for await (const item of request('foo', {
+		log: (l) => logs.push(l),
+		fetch: createFetch({chunks: [{a: 1}, {a: 2}]}),
+		version: 1,
+	})) {
+		items.push(item)
+	}
+	t.deepEqual(items, [{a: 1}, {a: 2}])
+	t.deepEqual(logs.slice(-2), ['end of response', 'closing stream'])
+})
+
+test('async iteration with "break"', async (t) => {
+	const logs = []
+	const items = []
+	for await (const item of request('foo', {
+		log: (l) => logs.push(l),
+		fetch: createFetch({
+			chunks: [{a: 1}, {a: 2}],
+			log: (l) => logs.push(l),
+		}),
+		version: 1,
+	})) {
+		items.push(item)
+		break
+	}
+	t.deepEqual(items, [{a: 1}])
+	t.deepEqual(logs.slice(-2), ['closing stream', 'reader cancelled'])
+})
+
+test('async iteration throws errors', async (t) => {
+	const clock = testing.createClock({start: 1})
+	const source = request('foo', {
+		fetch: () => new Promise(() => undefined),
+		clock,
+		version: 1,
+	})
+	clock.increase(10000)
+	try {
+		for await (const item of source) {
+			t.fail(`unexpected item ${item}`)
+		}
+		t.fail('expected an error')
+	} catch (err) {
+		t.ok(err instanceof request.TimeoutError)
+	}
+})
+
+test('async iteration throws JSON errors', async (t) => {
+	const source = request('foo', {
+		fetch: createFetch({
+			headers: new Map([['content-type', 'application/x-ndjson']]),
+			onRead: () =>
+				Promise.resolve({
+					value: new TextEncoder().encode('{"a":\n'),
+					done: false,
+				}),
+		}),
+		version: 1,
+	})
+	try {
+		for await (const item of source) {
+			t.fail(`unexpected item ${item}`)
+		}
+		t.fail('expected an error')
+	} catch (err) {
+		t.ok(err instanceof SyntaxError)
+	}
+})
+
+test('request.paginate', (t) => {
+	t.plan(2)
+	const urls = []
+	const pages = [[{id: 5}, {id: 4}], [{id: 3}, {id: 2}], [{id: 1}]]
+	request
+		.paginate('foo', {
+			fetch: (url, opts) => {
+				urls.push(url)
+				return createFetch({chunks: pages.shift()})(url, opts)
+			},
+			version: 1,
+			query: {merchantId: 'm'},
+			pageSize: 2,
+		})
+		.toArray()
+		.then((items) => {
+			t.deepEqual(items, [{id: 5}, {id: 4}, {id: 3}, {id: 2}, {id: 1}])
+			t.deepEqual(urls, [
+				'https://foo?merchantId=m&limit=2',
+				'https://foo?merchantId=m&limit=2&before=4',
+				'https://foo?merchantId=m&limit=2&before=2',
+			])
+		})
+})
+
+test('request.paginate with "after" and "max"', (t) => {
+	t.plan(2)
+	const urls = []
+	const pages = [[{id: 1}, {id: 2}], [{id: 3}], [{id: 4}]]
+	request
+		.paginate('foo', {
+			fetch: (url, opts) => {
+				urls.push(url)
+				return createFetch({chunks: pages.shift()})(url, opts)
+			},
+			version: 1,
+			query: {after: 0},
+			pageSize: 2,
+			max: 3,
+		})
+		.toArray()
+		.then((items) => {
+			t.deepEqual(items, [{id: 1}, {id: 2}, {id: 3}])
+			t.deepEqual(urls, [
+				'https://foo?after=0&limit=2',
+				'https://foo?after=2&limit=1',
+			])
+		})
+})
+
+test('request.paginate stops on abort', (t) => {
+	t.plan(3)
+	let fetched = 0
+	const logs = []
+	const source = request.paginate('foo', {
+		fetch: (url, opts) => {
+			fetched++
+			return createFetch({
+				chunks: [{id: 2}, {id: 1}],
+				log: (l) => logs.push(l),
+			})(url, opts)
+		},
+		version: 1,
+		pageSize: 2,
+	})
+	source(null, (end, item) => {
+		t.deepEqual(item, {id: 2})
+		source(true, () => {
+			t.equal(fetched, 1)
+			t.equal(logs[logs.length - 1], 'reader cancelled')
+		})
+	})
+})
+
+test('client.list', (t) => {
+	t.plan(2)
+	const urls = []
+	const client = request.create({
+		endpoint: 'api.paylike.io',
+		version: 1,
+		fetch: (url, opts) => {
+			urls.push(url)
+			return createFetch({chunks: [{id: 1}]})(url, opts)
+		},
+	})
+	client
+		.list('transactions', {query: {merchantId: 'm'}})
+		.toArray()
+		.then((items) => {
+			t.deepEqual(items, [{id: 1}])
+			t.deepEqual(urls, [
+				'https://api.paylike.io/transactions?merchantId=m&limit=100',
+			])
+		})
+})
+
+test('request.paginate input validation', (t) => {
+	const p = (o) => request.paginate('foo', {fetch: () => undefined, ...o})
+	t.throws(() => p({version: 1, pageSize: 0}), {
+		message: 'Unexpected "pageSize", got "0" expected a positive integer',
+	})
+	t.throws(() => p({version: 1, max: -1}), {
+		message: 'Unexpected "max", got "-1" expected a positive integer',
+	})
+	t.throws(() => p({version: 1, cursor: 'id'}), {
+		message:
+			'Unexpected type of "cursor", got "string" expected "function"',
+	})
+	t.end()
+})
+
+test('"resume" continues after a read failure', (t) => {
+	t.plan(3)
+	const logs = []
+	const urls = []
+	const err = new TypeError('terminated')
+	const fetches = [
+		createFetch({
+			response: testing.response().items({id: 5}, {id: 4}).fail(err),
+		}),
+		createFetch({chunks: [{id: 4}, {id: 3}, {id: 2}]}),
+	]
+	request('foo', {
+		log: (l) => logs.push(l),
+		fetch: (url, opts) => {
+			urls.push(url)
+			return fetches.shift()(url, opts)
+		},
+		resume: true,
+		version: 1,
+		query: {limit: 10},
+	})
+		.toArray()
+		.then((items) => {
+			t.deepEqual(items, [{id: 5}, {id: 4}, {id: 3}, {id: 2}])
+			t.deepEqual(urls, [
+				'https://foo?limit=10',
+				'https://foo?limit=8&before=4',
+			])
+			t.deepEqual(
+				logs.find((l) => l.t === 'resuming'),
+				{
+					t: 'resuming',
+					reconnection: 1,
+					attempts: 3,
+					before: 4,
+					error: {
+						name: 'TypeError',
+						message: 'terminated',
+						stack: err.stack,
+					},
+				}
+			)
+		})
+})
+
+test('"resume" respects "limit"', (t) => {
+	t.plan(4)
+	const err = new TypeError('terminated')
+	const r = (limit, fetches) => {
+		const urls = []
+		return request('foo', {
+			fetch: (url, opts) => {
+				urls.push(url)
+				return fetches.shift()(url, opts)
+			},
+			resume: true,
+			version: 1,
+			query: {limit},
+		})
+			.toArray()
+			.then((items) => [items, urls])
+	}
+	r(3, [
+		createFetch({
+			response: testing.response().items({id: 9}, {id: 8}).fail(err),
+		}),
+		createFetch({chunks: [{id: 7}]}),
+	]).then(([items, urls]) => {
+		t.deepEqual(items, [{id: 9}, {id: 8}, {id: 7}])
+		t.deepEqual(urls, [
+			'https://foo?limit=3',
+			'https://foo?limit=1&before=8',
+		])
+	})
+	r(2, [
+		createFetch({
+			response: testing.response().items({id: 9}, {id: 8}).fail(err),
+		}),
+	]).then(([items, urls]) => {
+		t.deepEqual(items, [{id: 9}, {id: 8}])
+		t.deepEqual(urls, ['https://foo?limit=2'])
+	})
+})
+
+test('"resume" with custom "param" and "cursor"', (t) => {
+	t.plan(2)
+	const urls = []
+	const fetches = [
+		createFetch({
+			response: testing
+				.response()
+				.items({n: 1})
+				.fail(new TypeError('terminated')),
+		}),
+		createFetch({chunks: [{n: 2}]}),
+	]
+	request('foo', {
+		fetch: (url, opts) => {
+			urls.push(url)
+			return fetches.shift()(url, opts)
+		},
+		resume: {param: 'from', cursor: (item) => item.n},
+		version: 1,
+	})
+		.toArray()
+		.then((items) => {
+			t.deepEqual(items, [{n: 1}, {n: 2}])
+			t.deepEqual(urls, ['https://foo', 'https://foo?from=1'])
+		})
+})
+
+test('"resume" gives up after "attempts"', (t) => {
+	t.plan(3)
+	let fetched = 0
+	const err = new TypeError('terminated')
+	request('foo', {
+		fetch: (url, opts) => {
+			fetched++
+			return createFetch({
+				response: testing.response().items({id: fetched}).fail(err),
+			})(url, opts)
+		},
+		resume: {attempts: 2},
+		version: 1,
+	})
+		.toArray()
+		.catch((e) => {
+			t.equal(e, err)
+			t.equal(fetched, 3)
+			t.pass('ended')
+		})
+})
+
+test('"resume" does not resume other errors', (t) => {
+	t.plan(2)
+	let fetched = 0
+	request('foo', {
+		fetch: (url, opts) => {
+			fetched++
+			return createFetch({
+				response: testing
+					.response()
+					.items({id: 1})
+					.fail(new Error('other')),
+			})(url, opts)
+		},
+		resume: true,
+		version: 1,
+	})
+		.toArray()
+		.catch((err) => {
+			t.equal(err.message, 'other')
+			t.equal(fetched, 1)
+		})
+})
+
+test('"application/json" responses are a single item', (t) => {
+	t.plan(1)
+	request('foo', {
+		fetch: createFetch({
+			headers: new Map([
+				['content-type', 'application/json; charset=utf-8'],
+			]),
+			response: testing.response().chunk('{\n  "a": [1,').chunk(' 2]\n}'),
+		}),
+		version: 1,
+	})
+		.toArray()
+		.then((items) => t.deepEqual(items, [{a: [1, 2]}]))
+})
+
+test('multi-line "application/json" responses are read as NDJSON', (t) => {
+	t.plan(4)
+	const logs = []
+	const r = (body, opts) =>
+		request('foo', {
+			fetch: createFetch({
+				headers: new Map([['content-type', 'application/json']]),
+				response: testing.response().chunk(body),
+			}),
+			version: 1,
+			...opts,
+		}).toArray()
+	r('{"a":1}\n{"a":2}\n').then((items) =>
+		t.deepEqual(items, [{a: 1}, {a: 2}])
+	)
+	r('{"a":1}\n{"a":2}', {log: (l) => logs.push(l)}).then((items) => {
+		t.deepEqual(items, [{a: 1}])
+		t.ok(logs.some((l) => l.t === 'unexpected response end (no newline)'))
+	})
+	r('{"a":1}\n{"a":2}', {strict: true}).catch((err) =>
+		t.ok(err instanceof request.ProtocolError)
+	)
+})
+
+test('empty "application/json" responses have no items', (t) => {
+	t.plan(1)
+	request('foo', {
+		fetch: createFetch({
+			headers: new Map([['content-type', 'application/json']]),
+			response: testing.response(),
+		}),
+		version: 1,
+	})
+		.toArray()
+		.then((items) => t.deepEqual(items, []))
+})
+
+test('responses without a content type are NDJSON', (t) => {
+	t.plan(1)
+	request('foo', {
+		fetch: createFetch({
+			headers: new Map(),
+			response: testing.response().chunk('{"a":1}\n{"a"').chunk(':2}\n'),
+		}),
+		version: 1,
+	})
+		.toArray()
+		.then((items) => t.deepEqual(items, [{a: 1}, {a: 2}]))
+})
+
+test('text responses', (t) => {
+	t.plan(2)
+	const r = () =>
+		request('foo', {
+			fetch: createFetch({
+				headers: new Map([['content-type', 'text/csv']]),
+				response: testing.response().chunk('a,b\n').chunk('1,2\n'),
+			}),
+			version: 1,
+		})
+	r()
+		.text()
+		.then((text) => t.equal(text, 'a,b\n1,2\n'))
+	r()
+		.arrayBuffer()
+		.catch((err) => t.equal(err.message, 'Unexpected non-binary response'))
+})
+
+test('binary responses', (t) => {
+	t.plan(2)
+	const r = () =>
+		request('foo', {
+			fetch: createFetch({
+				headers: new Map([['content-type', 'application/pdf']]),
+				response: testing.response().chunk('%PDF').chunk('-1.7'),
+			}),
+			version: 1,
+		})
+	r()
+		.arrayBuffer()
+		.then((buffer) => t.equal(new TextDecoder().decode(buffer), '%PDF-1.7'))
+	r()
+		.text()
+		.catch((err) => t.equal(err.message, 'Unexpected non-text response'))
+})
+
+test('truncated NDJSON responses', (t) => {
+	t.plan(3)
+	const logs = []
+	const r = (opts) =>
+		request('foo', {
+			fetch: createFetch({
+				headers: new Map([['content-type', 'application/x-ndjson']]),
+				response: testing.response().chunk('{"a":1}\n{"a":2}'),
+			}),
+			version: 1,
+			...opts,
+		}).toArray()
+	r({log: (l) => logs.push(l)}).then((items) => {
+		t.deepEqual(items, [{a: 1}])
+		t.ok(logs.some((l) => l.t === 'unexpected response end (no newline)'))
+	})
+	r({strict: true}).catch((err) => t.ok(err instanceof request.ProtocolError))
+})
+
+test('"connectTimeout" ends request without headers', (t) => {
+	t.plan(5)
+	const logs = []
+	const clock = testing.createClock({start: 1, log: (l) => logs.push(l)})
+	request('foo', {
+		log: (l) => logs.push(l),
+		fetch: () => new Promise(() => undefined),
+		clock,
+		timeout: 0,
+		connectTimeout: 5000,
+		version: 1,
+	})
+		.first()
+		.catch((err) => {
+			t.equal(clock.now(), 5001)
+			t.ok(err instanceof request.TimeoutError)
+			t.equal(err.phase, 'connect')
+			t.equal(
+				err.message,
+				'Request timed out after 5 seconds waiting for a response.'
+			)
+			t.deepEqual(logs[0], {
+				t: 'request',
+				method: 'GET',
+				url: 'https://foo',
+				timeout: 0,
+				connectTimeout: 5000,
+			})
+		})
+	clock.increase(10000)
+})
+
+test('"connectTimeout" is cleared by headers', (t) => {
+	t.plan(2)
+	const logs = []
+	const clock = testing.createClock({start: 1, log: (l) => logs.push(l)})
+	request('foo', {
+		fetch: createFetch(),
+		clock,
+		timeout: 0,
+		connectTimeout: 5000,
+		version: 1,
+	})
+		.toArray()
+		.then((items) => {
+			t.deepEqual(items, [{foo: 'bar'}])
+			t.deepEqual(logs, [
+				{t: 'setTimeout', ms: 5000, n: 1},
+				{t: 'clearTimeout', n: 1, cleared: true},
+			])
+		})
+})
+
+test('"idleTimeout" is reset on each read', (t) => {
+	t.plan(4)
+	const clock = testing.createClock({start: 1})
+	const encoder = new TextEncoder()
+	let reads = 0
+	const items = []
+	request('foo', {
+		fetch: createFetch({
+			headers: new Map([['content-type', 'application/x-ndjson']]),
+			onRead: () => {
+				reads++
+				if (reads > 3) return new Promise(() => undefined)
+				return new Promise((resolve) =>
+					clock.setTimeout(
+						() =>
+							resolve({
+								value: encoder.encode(`{"n":${reads}}\n`),
+								done: false,
+							}),
+						4000
+					)
+				)
+			},
+		}),
+		clock,
+		timeout: 0,
+		idleTimeout: 5000,
+		version: 1,
+	})
+		.forEach((item) => items.push(item))
+		.catch((err) => {
+			t.deepEqual(items, [{n: 1}, {n: 2}, {n: 3}])
+			t.equal(err.phase, 'idle')
+			t.equal(
+				err.message,
+				'Request timed out after 5 seconds waiting for data.'
+			)
+			t.equal(clock.now(), 17001)
+		})
+	clock.increase(30000)
+})
+
+test('"totalTimeout" overrides "timeout"', (t) => {
+	t.plan(2)
+	const clock = testing.createClock({start: 1})
+	request('foo', {
+		fetch: () => new Promise(() => undefined),
+		clock,
+		timeout: 1000,
+		totalTimeout: 3000,
+		version: 1,
+	})
+		.first()
+		.catch((err) => {
+			t.equal(err.phase, 'total')
+			t.equal(clock.now(), 3001)
+		})
+	clock.increase(10000)
+})
+
+test('redaction of logs', (t) => {
+	t.plan(2)
+	const logs = []
+	request('foo', {
+		log: (l) => logs.push(l),
+		fetch: createFetch({
+			headers: new Map([['content-type', 'application/x-ndjson']]),
+			response: testing
+				.response()
+				.chunk('{"a":1}\n{"card":"4100 0000 0000 0001"'),
+		}),
+		version: 1,
+		query: {
+			card: {number: '4100000000000001', cvc: '123'},
+			token: 'abc',
+			createdAt: 1697712345678,
+		},
+	})
+		.toArray()
+		.then(() => {
+			t.equal(
+				logs[0].url,
+				'https://foo?card[number]=[REDACTED]&card[cvc]=[REDACTED]&token=[REDACTED]&createdAt=1697712345678'
+			)
+			t.deepEqual(logs[2], {
+				t: 'unexpected response end (no newline)',
+				buffer: '{"card":"[REDACTED]"',
+			})
+		})
+})
+
+test('redaction of errors', (t) => {
+	t.plan(5)
+	const logs = []
+	const r = (fetch) =>
+		request('foo', {log: (l) => logs.push(l), fetch, version: 1})
+			.first()
+			.catch((err) => err)
+	Promise.all([
+		r(
+			createFetch({
+				status: 400,
+				chunks: [
+					{
+						code: 'INVALID',
+						message: 'Card 4100000000000001 is invalid',
+						card: {cvc: '123', expiry: {month: 1}},
+					},
+				],
+			})
+		),
+		r(
+			createFetch({
+				status: 500,
+				headers: new Map([
+					['set-cookie', 'session=abc'],
+					['x-request-id', '<some id>'],
+				]),
+			})
+		),
+	]).then(([responseError, serverError]) => {
+		t.equal(responseError.message, 'Card [REDACTED] is invalid')
+		t.deepEqual(responseError.card, {cvc: '[REDACTED]', expiry: {month: 1}})
+		t.deepEqual(
+			[...serverError.headers],
+			[
+				['set-cookie', '[REDACTED]'],
+				['x-request-id', '<some id>'],
+			]
+		)
+		t.equal(
+			logs.find((l) => l.t === 'aborted' && l.abort.code === 'INVALID')
+				.abort.message,
+			'Card [REDACTED] is invalid'
+		)
+		t.notOk(JSON.stringify(logs).includes('123'))
+	})
+})
+
+test('custom redaction rules', (t) => {
+	t.plan(1)
+	const logs = []
+	request('foo', {
+		log: (l) => logs.push(l),
+		fetch: createFetch(),
+		version: 1,
+		query: {email: 'john@example.com', note: 'ssn 123-45-6789'},
+		redact: {keys: [/^e-?mail$/], patterns: [/\d{3}-\d{2}-\d{4}/g]},
+	})
+		.first()
+		.then(() =>
+			t.equal(
+				logs[0].url,
+				'https://foo?email=[REDACTED]&note=ssn%20[REDACTED]'
+			)
+		)
+})
+
+test('redaction can be disabled', (t) => {
+	t.plan(1)
+	const logs = []
+	request('foo', {
+		log: (l) => logs.push(l),
+		fetch: createFetch(),
+		version: 1,
+		query: {token: 'abc'},
+		redact: false,
+	})
+		.first()
+		.then(() => t.equal(logs[0].url, 'https://foo?token=abc'))
+})
+
+test('metrics', (t) => {
+	t.plan(3)
+	const logs = []
+	const clock = testing.createClock({start: 1})
+	const encoder = new TextEncoder()
+	const chunks = ['{"a":1}\n', '{"a":2}\n']
+	const source = request('foo', {
+		log: (l) => logs.push(l),
+		fetch: (url, opts) =>
+			new Promise((resolve) =>
+				clock.setTimeout(
+					() =>
+						resolve(
+							createFetch({
+								headers: new Map([
+									['content-type', 'application/x-ndjson'],
+								]),
+								onRead: () =>
+									new Promise((resolve) =>
+										clock.setTimeout(
+											() =>
+												resolve(
+													chunks.length > 0
+														? {
+																value: encoder.encode(
+																	chunks.shift()
+																),
+																done: false,
+														  }
+														: {done: true}
+												),
+											50
+										)
+									),
+							})(url, opts)
+						),
+					100
+				)
+			),
+		clock,
+		timeout: 0,
+		metrics: true,
+		version: 1,
+	})
+	source.toArray().then(() => {
+		const expected = {
+			start: 1,
+			queued: 0,
+			headers: 100,
+			firstItem: 150,
+			end: 250,
+			bytes: 16,
+			items: 2,
+			attempts: 1,
+		}
+		t.deepEqual(source.metrics, expected)
+		t.deepEqual(logs[logs.length - 1], {t: 'metrics', ...expected})
+		t.notOk(
+			logs.some((l) => l.t === 'metrics' && l !== logs[logs.length - 1])
+		)
+	})
+	clock.increase(1000)
+})
+
+test('metrics are not logged by default', (t) => {
+	t.plan(2)
+	const logs = []
+	const source = request('foo', {
+		log: (l) => logs.push(l),
+		fetch: createFetch(),
+		version: 1,
+	})
+	source.toArray().then(() => {
+		t.equal(source.metrics.items, 1)
+		t.notOk(logs.some((l) => l.t === 'metrics'))
+	})
+})
+
+test('"tracer" spans', (t) => {
+	t.plan(4)
+	const spans = []
+	const tracer = {
+		startSpan: (name, opts) => {
+			const n = spans.length
+			const span = {
+				name,
+				opts,
+				attributes: {},
+				events: [],
+				spanContext: () => ({
+					traceId: '4bf92f3577b34da6a3ce929d0e0e4736',
+					spanId: `00f067aa0ba902b${n}`,
+					traceFlags: 1,
+				}),
+				setAttribute: (k, v) => (span.attributes[k] = v),
+				recordException: (err) => span.events.push(err.name),
+				setStatus: (status) => (span.status = status),
+				end: () => span.events.push('end'),
+			}
+			spans.push(span)
+			return span
+		},
+	}
+	const fetchLogs = []
+	const clock = testing.createClock({start: 1})
+	const fetches = [
+		createFetch({status: 503, headers: new Map([['x-request-id', 'r1']])}),
+		createFetch({log: (l) => l.t === 'fetching' && fetchLogs.push(l)}),
+	]
+	request('foo', {
+		fetch: (...args) => fetches.shift()(...args),
+		tracer,
+		clock,
+		timeout: 0,
+		retry: {random: () => 0},
+		version: 1,
+		query: {token: 'abc'},
+	})
+		.toArray()
+		.then(() => {
+			t.deepEqual(
+				spans.map(({name, opts, attributes}) => ({
+					name,
+					opts,
+					attributes,
+				})),
+				[
+					{
+						name: 'HTTP GET',
+						opts: {
+							kind: 2,
+							attributes: {
+								'http.request.method': 'GET',
+								'url.full': 'https://foo?token=[REDACTED]',
+							},
+						},
+						attributes: {
+							'http.response.status_code': 503,
+							'paylike.request_id': 'r1',
+						},
+					},
+					{
+						name: 'HTTP GET',
+						opts: {
+							kind: 2,
+							attributes: {
+								'http.request.method': 'GET',
+								'url.full': 'https://foo?token=[REDACTED]',
+							},
+						},
+						attributes: {
+							'http.response.status_code': 200,
+							'paylike.request_id': '<some id>',
+						},
+					},
+				]
+			)
+			t.deepEqual(spans[0].events, ['ServerError', 'end'])
+			t.deepEqual(spans[1].events, ['end'])
+			t.equal(
+				fetchLogs[0].opts.headers.traceparent,
+				'00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b1-01'
+			)
+		})
+	clock.increase(1000)
+})
+
+test('typed response errors', (t) => {
+	t.plan(7)
+	request('foo', {
+		fetch: createFetch({
+			status: 400,
+			chunks: [
+				{
+					code: 'AMOUNT_INVALID',
+					message: 'Amount is too low',
+					minimum: 100,
+					maximum: 1000,
+				},
+			],
+		}),
+		version: 1,
+	})
+		.first()
+		.catch((err) => {
+			t.ok(err instanceof request.errors.AmountInvalidError)
+			t.ok(err instanceof request.ResponseError)
+			t.equal(err.name, 'AmountInvalidError')
+			t.equal(err.minimum, 100)
+			t.equal(err.maximum, 1000)
+			t.equal(err.status, 400)
+			t.equal(
+				String(err),
+				'Amount is too low (AMOUNT_INVALID, <some id>)'
+			)
+		})
+})
+
+test('unknown codes fall back to ResponseError', (t) => {
+	t.plan(2)
+	request('foo', {
+		fetch: createFetch({
+			status: 400,
+			chunks: [{code: 'SOME_CODE', message: 'Text message'}],
+		}),
+		version: 1,
+	})
+		.first()
+		.catch((err) => {
+			t.equal(err.constructor, request.ResponseError)
+			t.equal(request.errors.ResponseError, request.ResponseError)
+		})
+})
+
+test('request.registerError', (t) => {
+	t.plan(12)
+	class ShopClosedError extends request.ResponseError {}
+	t.equal(
+		request.registerError('SHOP_CLOSED', ShopClosedError),
+		ShopClosedError
+	)
+	const Other = request.registerError('OTHER_CODE', 'OtherCodeError')
+	t.equal(Other.name, 'OtherCodeError')
+	t.equal(request.errors.OtherCodeError, Other)
+	t.equal(request.OtherCodeError, Other)
+	t.equal(request.CardDeclinedError, request.errors.CardDeclinedError)
+	t.equal(request.registerError('OTHER_CODE', Other), Other)
+	for (const name of ['TimeoutError', 'paginate', 'OtherCodeError']) {
+		t.throws(() => request.registerError('FOO', name), {
+			message: `Unexpected error class name "${name}", already used by "request.${name}"`,
+		})
+	}
+	t.equal(typeof request.paginate, 'function')
+	t.throws(() => request.registerError('FOO', Error), {
+		message:
+			'Unexpected error class, expected a name or a subclass of "ResponseError"',
+	})
+	request('foo', {
+		fetch: createFetch({
+			status: 409,
+			chunks: [{code: 'SHOP_CLOSED', message: 'Closed'}],
+		}),
+		version: 1,
+	})
+		.first()
+		.catch((err) => t.ok(err instanceof ShopClosedError))
+})
+
+test('limiter', (t) => {
+	t.plan(2)
+	const clock = testing.createClock({start: 1})
+	const limiter = request.createLimiter({rate: 1, clock})
+	const fetched = []
+	const fetch = (url, opts) => {
+		fetched.push([clock.now(), url])
+		return createFetch()(url, opts)
+	}
+	const logs = []
+	Promise.all(
+		['foo/a', 'foo/b', 'bar/c'].map((endpoint) =>
+			request(endpoint, {
+				log: (l) => logs.push(l),
+				clock,
+				fetch,
+				limiter,
+				version: 1,
+			}).toArray()
+		)
+	).then(() => {
+		t.deepEqual(fetched, [
+			[1, 'https://foo/a'],
+			[1, 'https://bar/c'],
+			[1001, 'https://foo/b'],
+		])
+		t.deepEqual(
+			logs.filter((l) => l.t === 'throttled'),
+			[{t: 'throttled', host: 'foo'}]
+		)
+	})
+	clock.increase(1000)
+})
+
+test('limiter pauses on RateLimitError', (t) => {
+	t.plan(2)
+	const clock = testing.createClock({start: 1})
+	const limiter = request.createLimiter({rate: 10, clock})
+	const fetched = []
+	const fetch = (url, opts) => {
+		fetched.push([clock.now(), url])
+		return createFetch(
+			fetched.length === 1
+				? {status: 429, headers: new Map([['retry-after', '5']])}
+				: undefined
+		)(url, opts)
+	}
+	request('foo/a', {clock, fetch, limiter, version: 1})
+		.toArray()
+		.catch((err) => {
+			t.ok(err instanceof request.RateLimitError)
+			request('foo/b', {clock, fetch, limiter, version: 1})
+				.toArray()
+				.then(() => {
+					t.deepEqual(fetched, [
+						[1, 'https://foo/a'],
+						[5001, 'https://foo/b'],
+					])
+				})
+			clock.increase(5000)
+		})
+})
+
+test('limiter with an aborted request', (t) => {
+	t.plan(2)
+	const clock = testing.createClock({start: 1})
+	const limiter = request.createLimiter({rate: 1, clock})
+	const controller = new AbortController()
+	const fetched = []
+	const fetch = (url, opts) => {
+		fetched.push(url)
+		return createFetch()(url, opts)
+	}
+	request('foo/a', {clock, fetch, limiter, version: 1}).toArray()
+	request('foo/b', {
+		clock,
+		fetch,
+		limiter,
+		signal: controller.signal,
+		version: 1,
+	})
+		.toArray()
+		.catch((err) => {
+			t.ok(err instanceof request.AbortError)
+			t.deepEqual(fetched, ['https://foo/a'])
+		})
+	controller.abort()
+})
+
+test('request.createLimiter input validation', (t) => {
+	t.throws(() => request.createLimiter(), {
+		message:
+			'Unexpected "rate", got "undefined" expected a positive number',
+	})
+	t.throws(() => request.createLimiter({rate: 1, interval: 0}), {
+		message: 'Unexpected "interval", got "0" expected a positive number',
+	})
+	t.end()
+})
+
+test('scheduler', (t) => {
+	t.plan(2)
+	const scheduler = request.createScheduler({maxConcurrent: 1})
+	const fetched = []
+	const fetch = (url, opts) => {
+		fetched.push(url)
+		return createFetch()(url, opts)
+	}
+	const logs = []
+	Promise.all(
+		[
+			['foo/a', 0],
+			['foo/b', 0],
+			['foo/c', 1],
+		].map(([endpoint, priority]) =>
+			request(endpoint, {
+				log: (l) => logs.push(l),
+				clock: testing.createClock({start: 1}),
+				fetch,
+				scheduler,
+				priority,
+				version: 1,
+			}).toArray()
+		)
+	).then(() => {
+		t.deepEqual(fetched, [
+			'https://foo/a',
+			'https://foo/c',
+			'https://foo/b',
+		])
+		t.deepEqual(
+			logs.filter((l) => l.t === 'queued' || l.t === 'dequeued'),
+			[
+				{t: 'queued', host: 'foo', priority: 0},
+				{t: 'queued', host: 'foo', priority: 1},
+				{t: 'dequeued', host: 'foo', priority: 1, queueTime: 0},
+				{t: 'dequeued', host: 'foo', priority: 0, queueTime: 0},
+			]
+		)
+	})
+})
+
+test('scheduler with an aborted request', (t) => {
+	t.plan(2)
+	const scheduler = request.createScheduler({maxConcurrent: 1})
+	const controller = new AbortController()
+	const fetched = []
+	const fetch = (url, opts) => {
+		fetched.push(url)
+		return createFetch()(url, opts)
+	}
+	const first = request('foo/a', {fetch, scheduler, version: 1})
+	request('foo/b', {fetch, scheduler, signal: controller.signal, version: 1})
+		.toArray()
+		.catch((err) => {
+			t.ok(err instanceof request.AbortError)
+			first.toArray().then(() => {
+				t.deepEqual(fetched, ['https://foo/a'])
+			})
+		})
+	controller.abort()
+})
+
+test('request.createScheduler input validation', (t) => {
+	t.throws(() => request.createScheduler({maxConcurrent: 0}), {
+		message:
+			'Unexpected "maxConcurrent", got "0" expected a positive integer',
+	})
+	t.end()
+})
+
+test('"dedupe" shares identical GET requests in flight', (t) => {
+	t.plan(5)
+	const fetched = []
+	const fetch = (url, opts) => {
+		fetched.push([url, opts.headers.Foo])
+		return createFetch({chunks: [{a: 1}, {a: 2}]})(url, opts)
+	}
+	const logs = []
+	const r = (headers) =>
+		request('foo', {
+			log: (l) => logs.push(l),
+			fetch,
+			dedupe: true,
+			headers,
+			version: 1,
+		}).toArray()
+	Promise.all([r({Foo: 'bar'}), r({Foo: 'bar'}), r({Foo: 'baz'})]).then(
+		(results) => {
+			t.deepEqual(results, [
+				[{a: 1}, {a: 2}],
+				[{a: 1}, {a: 2}],
+				[{a: 1}, {a: 2}],
+			])
+			t.deepEqual(fetched, [
+				['https://foo', 'bar'],
+				['https://foo', 'baz'],
+			])
+			t.deepEqual(
+				logs.filter((l) => l.t === 'deduplicated'),
+				[{t: 'deduplicated', url: 'https://foo'}]
+			)
+			// requests after the first have ended are not shared
+			r({Foo: 'bar'}).then((items) => {
+				t.deepEqual(items, [{a: 1}, {a: 2}])
+				t.equal(fetched.length, 3)
+			})
+		}
+	)
+})
+
+test('"dedupe" does not share requests of other clients', (t) => {
+	t.plan(2)
+	let fetched = 0
+	const fetch = (url, opts) => {
+		fetched++
+		return createFetch()(url, opts)
+	}
+	const sign = {
+		request: (req) => {
+			req.headers['X-Signature'] = 'signed'
+		},
+	}
+	const r = (opts) =>
+		request('foo', {fetch, dedupe: true, version: 1, ...opts}).toArray()
+	Promise.all([
+		r(),
+		r({fetch: (url, opts) => fetch(url, opts)}),
+		r({clientId: 'other'}),
+		r({middleware: [sign]}),
+		r({middleware: [sign]}),
+		r(),
+	]).then((results) => {
+		t.equal(results.length, 6)
+		t.equal(fetched, 4)
+	})
+})
+
+test('"dedupe" subscribers leave independently', (t) => {
+	t.plan(3)
+	const logs = []
+	const fetch = createFetch({
+		log: (l) => logs.push(l),
+		chunks: [{a: 1}, {a: 2}],
+	})
+	const controller = new AbortController()
+	const opts = {log: (l) => logs.push(l), fetch, dedupe: true, version: 1}
+	const first = request('foo', opts)
+	request('foo', {...opts, signal: controller.signal})
+		.toArray()
+		.catch((err) => {
+			t.ok(err instanceof request.AbortError)
+			first.toArray().then((items) => {
+				t.deepEqual(items, [{a: 1}, {a: 2}])
+				t.deepEqual(logs.slice(-3), [
+					'end of response',
+					'closing stream',
+					'reader cancelled',
+				])
+			})
+		})
+	controller.abort()
+})
+
+test('"cache" replays fresh responses', (t) => {
+	t.plan(5)
+	let time = 1
+	const clock = {...testing.createClock({start: 1}), now: () => time}
+	const cache = request.createCache()
+	const fetched = []
+	const fetch = (url, opts) => {
+		fetched.push(url)
+		return createFetch({
+			headers: new Map([['cache-control', 'max-age=60']]),
+			chunks: [{a: 1}, {a: 2}],
+		})(url, opts)
+	}
+	const logs = []
+	const r = () =>
+		request('foo', {
+			log: (l) => logs.push(l),
+			clock,
+			fetch,
+			cache,
+			version: 1,
+		}).toArray()
+	r()
+		.then((items) => {
+			t.deepEqual(items, [{a: 1}, {a: 2}])
+			return r()
+		})
+		.then((items) => {
+			t.deepEqual(items, [{a: 1}, {a: 2}])
+			t.equal(fetched.length, 1)
+			t.deepEqual(
+				logs.filter((l) => l.t === 'cache hit'),
+				[{t: 'cache hit'}]
+			)
+			time += 60000
+			return r()
+		})
+		.then(() => {
+			t.equal(fetched.length, 2)
+		})
+})
+
+test('"cache" does not store responses closed early', (t) => {
+	t.plan(4)
+	const cache = request.createCache()
+	const logs = []
+	let fetches = 0
+	const fetch = (url, opts) => {
+		fetches++
+		return createFetch({
+			log: (l) => logs.push(l),
+			headers: new Map([['cache-control', 'max-age=60']]),
+			chunks: [{a: 1}, {a: 2}],
+		})(url, opts)
+	}
+	const r = () => request('foo', {fetch, cache, version: 1})
+	r()
+		.first()
+		.then((item) => {
+			t.deepEqual(item, {a: 1})
+			t.ok(logs.includes('reader cancelled'))
+			return r().toArray()
+		})
+		.then((items) => {
+			t.deepEqual(items, [{a: 1}, {a: 2}])
+			t.equal(fetches, 2)
+		})
+})
+
+test('"cache" keys do not hold credentials', (t) => {
+	t.plan(2)
+	const keys = []
+	const cache = {
+		get: (key) => {
+			keys.push(key)
+		},
+		set: () => undefined,
+	}
+	Promise.all([
+		request('foo', {
+			fetch: createFetch(),
+			cache,
+			auth: {key: 'secret-app-key'},
+			version: 1,
+		}).toArray(),
+		request('foo', {
+			fetch: createFetch(),
+			cache,
+			headers: {Authorization: 'Bearer secret-token'},
+			version: 1,
+		}).toArray(),
+	]).then(() => {
+		t.equal(keys.length, 2)
+		t.notOk(keys.some((key) => key.includes('secret')))
+	})
+})
+
+test('"cache" revalidates stale responses', (t) => {
+	t.plan(3)
+	const cache = request.createCache()
+	const requests = []
+	const fetch = (url, opts) => {
+		requests.push(opts.headers)
+		return createFetch(
+			requests.length === 1
+				? {
+						headers: new Map([
+							['cache-control', 'no-cache'],
+							['etag', '"abc"'],
+							['last-modified', 'Fri, 01 Jan 2021 00:00:00 GMT'],
+						]),
+						chunks: [{a: 1}],
+				  }
+				: {status: 304, headers: new Map(), chunks: []}
+		)(url, opts)
+	}
+	const logs = []
+	const r = () =>
+		request('foo', {
+			log: (l) => logs.push(l),
+			fetch,
+			cache,
+			version: 1,
+		}).toArray()
+	r()
+		.then(() => r())
+		.then((items) => {
+			t.deepEqual(items, [{a: 1}])
+			t.deepEqual(requests[1], {
+				'X-Client': 'js-1',
+				'Accept-Version': 1,
+				'If-None-Match': '"abc"',
+				'If-Modified-Since': 'Fri, 01 Jan 2021 00:00:00 GMT',
+			})
+			t.deepEqual(
+				logs.filter((l) => l.t === 'cache revalidated'),
+				[{t: 'cache revalidated'}]
+			)
+		})
+})
+
+test('"cache" does not store "no-store" responses', (t) => {
+	t.plan(1)
+	const cache = request.createCache()
+	let fetches = 0
+	const fetch = (url, opts) => {
+		fetches++
+		return createFetch({
+			headers: new Map([['cache-control', 'no-store, max-age=60']]),
+		})(url, opts)
+	}
+	const r = () => request('foo', {fetch, cache, version: 1}).toArray()
+	r()
+		.then(() => r())
+		.then(() => t.equal(fetches, 2))
+})
+
+test('request.createCache evicts the least recently used entry', (t) => {
+	const cache = request.createCache({max: 2})
+	cache.set('a', 1)
+	cache.set('b', 2)
+	cache.get('a')
+	cache.set('c', 3)
+	t.equal(cache.get('a'), 1)
+	t.equal(cache.get('b'), undefined)
+	t.equal(cache.get('c'), 3)
+	t.throws(() => request.createCache({max: 0}), {
+		message: 'Unexpected "max", got "0" expected a positive integer',
+	})
+	t.end()
+})
+
+test('"circuitBreaker" opens, half-opens and closes', (t) => {
+	t.plan(6)
+	let time = 1
+	const circuitBreaker = request.createCircuitBreaker({
+		minRequests: 2,
+		cooldown: 1000,
+		clock: {now: () => time},
+	})
+	let status = 500
+	let fetches = 0
+	const fetch = (url, opts) => {
+		fetches++
+		return createFetch({status})(url, opts)
+	}
+	const logs = []
+	const r = () =>
+		request('foo', {
+			log: (l) => logs.push(l),
+			fetch,
+			circuitBreaker,
+			version: 1,
+		}).toArray()
+	const failed = (p) =>
+		p.then(
+			() => undefined,
+			(err) => err
+		)
+	failed(r())
+		.then(() => failed(r()))
+		.then(() => failed(r()))
+		.then((err) => {
+			t.ok(err instanceof request.CircuitOpenError)
+			t.equal(err.message, 'Circuit of "foo" is open for 1 seconds.')
+			t.equal(err.retryAfter, 1000)
+			t.equal(fetches, 2)
+			time += 1000
+			status = 200
+			return r()
+		})
+		.then((items) => {
+			t.deepEqual(items, [{foo: 'bar'}])
+			t.deepEqual(
+				logs.filter((l) => l.t === 'circuit'),
+				[
+					{t: 'circuit', host: 'foo', state: 'open'},
+					{t: 'circuit', host: 'foo', state: 'half-open'},
+					{t: 'circuit', host: 'foo', state: 'closed'},
+				]
+			)
+		})
+})
+
+test('"circuitBreaker" reopens on a failing trial', (t) => {
+	t.plan(3)
+	let time = 1
+	const circuitBreaker = request.createCircuitBreaker({
+		minRequests: 1,
+		cooldown: 1000,
+		clock: {now: () => time},
+	})
+	const logs = []
+	const r = () =>
+		request('foo', {
+			log: (l) => logs.push(l),
+			fetch: createFetch({status: 503}),
+			circuitBreaker,
+			version: 1,
+		}).toArray()
+	r()
+		.catch(() => {
+			time += 1000
+			const trial = r()
+			// only a single request is let through while half-open
+			r().catch((err) => {
+				t.ok(err instanceof request.CircuitOpenError)
+				t.equal(err.retryAfter, undefined)
+			})
+			return trial
+		})
+		.catch(() => {
+			t.deepEqual(
+				logs.filter((l) => l.t === 'circuit').map((l) => l.state),
+				['open', 'half-open', 'open']
+			)
+		})
+})
+
+test('"circuitBreaker" counts ".first()" as a success', (t) => {
+	t.plan(2)
+	let time = 1
+	const circuitBreaker = request.createCircuitBreaker({
+		minRequests: 2,
+		cooldown: 1000,
+		clock: {now: () => time},
+	})
+	let status = 200
+	const logs = []
+	const r = () =>
+		request('foo', {
+			log: (l) => logs.push(l),
+			fetch: createFetch({
+				status,
+				headers: new Map([
+					[
+						'content-type',
+						status === 200 ? 'application/json' : 'text/plain',
+					],
+				]),
+				chunks: [{a: 1}, {a: 2}],
+			}),
+			circuitBreaker,
+			version: 1,
+		}).first()
+	const states = () =>
+		logs.filter((l) => l.t === 'circuit').map((l) => l.state)
+	r()
+		.then(() => r())
+		.then(() => r())
+		.then(() => {
+			status = 500
+			return r().catch(() => r().catch(() => undefined))
+		})
+		.then(() => {
+			t.deepEqual(states(), [])
+			// a third failure opens the circuit, a ".first()" trial closes it
+			return r().catch(() => {
+				time += 1000
+				status = 200
+				return r()
+			})
+		})
+		.then(() => {
+			t.deepEqual(states(), ['open', 'half-open', 'closed'])
+		})
+})
+
+test('request.createCircuitBreaker input validation', (t) => {
+	t.throws(() => request.createCircuitBreaker({threshold: 2}), {
+		message:
+			'Unexpected "threshold", got "2" expected a number between 0 and 1',
+	})
+	t.throws(() => request.createCircuitBreaker({window: 0}), {
+		message: 'Unexpected "window", got "0" expected a positive integer',
+	})
+	t.end()
+})
+
+test('testing kit', (t) => {
+	t.plan(4)
+	const clock = testing.createClock()
+	const fetch = testing
+		.createFetch({clock})
+		.reply(
+			testing.response().header('x-request-id', 'a').items({a: 1}),
+			testing.rateLimited(2),
+			testing.response().items({a: 1}).wait(500).items({a: 2})
+		)
+	const log = testing.createLog()
+	request('foo', {log, clock, fetch, version: 1})
+		.toArray()
+		.then((items) => {
+			t.deepEqual(items, [{a: 1}])
+			return Promise.all([
+				request('foo', {log, clock, fetch, retry: true, version: 1})
+					.toArray()
+					.then((items) => t.deepEqual(items, [{a: 1}, {a: 2}])),
+				clock.increase(2500),
+			])
+		})
+		.then(() => {
+			fetch.assertDone()
+			t.equal(fetch.calls.length, 3)
+			log.assertEntry({t: 'response', status: 200, requestId: 'a'})
+			log.assertSequence(['request', 'response', 'retrying', 'request'])
+			t.throws(() => log.assertSequence(['retrying', 'resuming']), {
+				message: 'Expected log entries of type "resuming" (at 1)',
+			})
+		})
+})
+
+test('testing kit rejects unexpected requests', (t) => {
+	t.plan(1)
+	request('foo', {fetch: testing.createFetch(), version: 1})
+		.toArray()
+		.catch((err) => {
+			t.equal(err.message, 'Unexpected request: GET https://foo')
+		})
+})
+
+test('testing kit errors without a body', (t) => {
+	t.plan(3)
+	request('foo', {
+		fetch: testing.createFetch().reply(testing.response(500)),
+		version: 1,
+	})
+		.toArray()
+		.catch((err) => {
+			t.ok(err instanceof request.ServerError)
+			t.equal(err.status, 500)
+			t.ok(/^500 Internal Server Error \(\d+\)$/.test(err.message))
+		})
+})
+
+test('testing kit record and replay', (t) => {
+	t.plan(7)
+	const path = require('path').join(
+		require('os').tmpdir(),
+		`paylike-request-fixture-${process.pid}.json`
+	)
+	const clock = testing.createClock()
+	const upstream = testing
+		.createFetch({clock})
+		.reply(
+			testing.response().items({a: 1}).wait(100).items({a: 2}),
+			testing
+				.response(404)
+				.json({code: 'NOT_FOUND', message: 'Not found'})
+		)
+	const opts = {
+		clock,
+		fetch: testing.record(upstream, {path, clock}),
+		auth: {key: '<key>'},
+		version: 1,
+	}
+	Promise.all([request('foo', opts).toArray(), clock.increase(100)])
+		.then(([items]) => {
+			t.deepEqual(items, [{a: 1}, {a: 2}])
+			return request('foo/bar', opts).toArray()
+		})
+		.catch((err) => {
+			t.ok(err instanceof request.errors.NotFoundError)
+			const {interactions} = JSON.parse(fs.readFileSync(path, 'utf8'))
+			t.equal(interactions[0].request.headers.Authorization, '[REDACTED]')
+			t.deepEqual(interactions[0].response.chunks, [
+				{delay: 0, text: '{"a":1}\n'},
+				{delay: 100, text: '{"a":2}\n'},
+			])
+			const fetch = testing.replay({path})
+			return Promise.all([
+				request('foo', {fetch, version: 1}).toArray(),
+				request('foo/bar', {fetch, version: 1})
+					.toArray()
+					.catch((err) => err),
+				request('baz', {fetch, version: 1})
+					.toArray()
+					.catch((err) => err),
+			]).then(([items, notFound, unmatched]) => {
+				t.deepEqual(items, [{a: 1}, {a: 2}])
+				t.ok(notFound instanceof request.errors.NotFoundError)
+				t.equal(
+					unmatched.message,
+					`No recorded response for: GET https://baz in ${path}`
+				)
+				fetch.assertDone()
+			})
+		})
+		.finally(() => fs.unlinkSync(path))
+})
+
+test('testing kit record redacts card data', (t) => {
+	t.plan(4)
+	const path = require('path').join(
+		require('os').tmpdir(),
+		`paylike-request-fixture-redacted-${process.pid}.json`
+	)
+	const r = (fetch) =>
+		request('foo', {
+			fetch,
+			data: {card: {number: '4100000000000001', cvc: '123'}},
+			query: {token: 'abc', page: 2},
+			version: 1,
+		}).toArray()
+	r(
+		testing.record(
+			testing.createFetch().reply(testing.response().items({a: 1})),
+			{path}
+		)
+	)
+		.then(() => {
+			const text = fs.readFileSync(path, 'utf8')
+			t.notOk(/4100000000000001|"123"|abc/.test(text))
+			const [{request: recorded}] = JSON.parse(text).interactions
+			t.equal(recorded.url, 'https://foo?token=[REDACTED]&page=2')
+			t.deepEqual(JSON.parse(recorded.body), {
+				card: {number: '[REDACTED]', cvc: '[REDACTED]'},
+			})
+			return r(testing.replay({path}))
+		})
+		.then((items) => t.deepEqual(items, [{a: 1}]))
+		.finally(() => fs.unlinkSync(path))
+})
+
+test('testing kit emulator', (t) => {
+	t.plan(10)
+	testing.createEmulator().then((emulator) => {
+		emulator
+			.route(
+				'GET',
+				'/merchants',
+				testing.response().items({a: 1}, {a: 2})
+			)
+			.route('POST', '/merchants', (req) =>
+				testing.response(201).json({merchant: req.body})
+			)
+			.route('DELETE', '/merchants/1', testing.response(204))
+			.route('GET', '/limited', testing.rateLimited(1))
+			.route('GET', '/truncated', testing.response().items({a: 1}).fail())
+			.route('GET', '/broken', () => ({}))
+		const log = testing.createLog()
+		const r = (path, opts) =>
+			request(emulator.url + path, {log, version: 1, ...opts})
+				.toArray()
+				.catch((err) => err)
+		Promise.all([
+			r('/merchants'),
+			r('/merchants', {data: {name: 'Shop'}}),
+			r('/merchants/1', {method: 'DELETE'}),
+			r('/limited'),
+			r('/truncated'),
+			r('/unknown'),
+			r('/merchants', {version: 2}),
+			r('/broken'),
+		])
+			.then(
+				([
+					items,
+					created,
+					deleted,
+					limited,
+					truncated,
+					unknown,
+					unsupported,
+					broken,
+				]) => {
+					t.deepEqual(items, [{a: 1}, {a: 2}])
+					t.deepEqual(created, [{merchant: {name: 'Shop'}}])
+					t.deepEqual(deleted, [])
+					t.equal(limited.retryAfter, 1000)
+					t.ok(truncated instanceof Error)
+					t.ok(unknown instanceof request.errors.NotFoundError)
+					t.ok(
+						unsupported instanceof
+							request.errors.VersionUnsupportedError
+					)
+					t.equal(broken.status, 500)
+					t.ok(log.ofType('response').every((l) => l.requestId))
+					t.deepEqual(
+						emulator.requests.find((r) => r.method === 'POST').body,
+						{name: 'Shop'}
+					)
+				}
+			)
+			.finally(() => emulator.close())
+	})
+})
+
+// A "fetch" replying to each call with "chunks" (or a "response" of the
+// testing kit) and logging its calls and reads
+function createFetch(opts = {}) {
+	const {
+		log = () => {},
+		status = 200,
+		statusText = 'OK',
+		chunks = [{foo: 'bar'}],
+		onRead,
+	} = opts
+	const reply =
+		opts.response ||
+		testing
+			.response(status)
+			.status(status, statusText)
+			.items(...chunks)
+	const headers =
+		opts.headers ||
+		(opts.response === undefined
+			? new Map([
+					['content-type', 'application/json'],
+					['x-request-id', '<some id>'],
+			  ])
+			: undefined)
+	return (url, {signal, ...opts}) => {
+		log({t: 'fetching', url, opts})
+		return reply.respond().then((res) => ({
+			...res,
+			headers: headers || res.headers,
+			body: {getReader: () => createReader(res.body.getReader())},
+		}))
+	}
+
+	function createReader(reader) {
+		log('reader acquired')
+		return {
+			cancel: () => {
+				log('reader cancelled')
+				return reader.cancel()
+			},
+			read: () => {
+				log('reading')
+				return onRead !== undefined ? onRead() : reader.read()
+			},
 		}
 	}
 }
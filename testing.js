@@ -0,0 +1,644 @@
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const http = require('http')
+const {isDeepStrictEqual} = require('util')
+const {createRedactor} = require('./index.js')
+
+module.exports = {
+	createClock,
+	createFetch,
+	response,
+	rateLimited,
+	createLog,
+	record,
+	replay,
+	createEmulator,
+}
+
+// headers replaced by "[REDACTED]" in fixtures
+const credentialHeaders = [
+	'authorization',
+	'proxy-authorization',
+	'cookie',
+	'set-cookie',
+]
+
+// "x-request-id" of responses not setting one
+let requestCount = 0
+
+const statusTexts = {
+	200: 'OK',
+	201: 'Created',
+	204: 'No Content',
+	304: 'Not Modified',
+	400: 'Bad Request',
+	401: 'Unauthorized',
+	403: 'Forbidden',
+	404: 'Not Found',
+	429: 'Too Many Requests',
+	500: 'Internal Server Error',
+	502: 'Bad Gateway',
+	503: 'Service Unavailable',
+}
+
+// A virtual clock for the "clock" option, time only moves by "increase". Timers
+// are reported to "log" if given.
+function createClock({start = 0, log = () => undefined} = {}) {
+	let now = start
+	let n = 1
+	const timers = new Set()
+
+	return {
+		now: () => now,
+		setTimeout,
+		clearTimeout,
+		increase,
+		pending: () => timers.size,
+	}
+
+	function setTimeout(fn, ms = 0) {
+		const timer = {fn, at: now + ms, n: n++}
+		log({t: 'setTimeout', ms, n: timer.n})
+		timers.add(timer)
+		return timer
+	}
+
+	function clearTimeout(timer) {
+		log({t: 'clearTimeout', n: timer.n, cleared: timers.has(timer)})
+		timers.delete(timer)
+	}
+
+	// runs due timers in order, letting promises settle in between, and
+	// resolves once "ms" have passed
+	function increase(ms) {
+		const target = now + ms
+		return settle().then(function next() {
+			const due = [...timers]
+				.filter(({at}) => at <= target)
+				.sort((a, b) => a.at - b.at || a.n - b.n)[0]
+			if (due === undefined) {
+				now = target
+				return settle()
+			}
+			log({t: 'running timer', n: due.n})
+			timers.delete(due)
+			now = due.at
+			due.fn()
+			return settle().then(next)
+		})
+	}
+}
+
+// A "fetch" replying with the queued responses in order of calls, calls
+// without a queued response are rejected. Delays of responses use "clock".
+function createFetch({clock} = {}) {
+	const replies = []
+	const calls = []
+
+	const fetch = (url, {method = 'GET', headers = {}, body, signal} = {}) => {
+		calls.push({url, method, headers, body})
+		const reply = replies.shift()
+		if (reply === undefined) {
+			return Promise.reject(
+				new Error(`Unexpected request: ${method} ${url}`)
+			)
+		}
+		return reply.respond({clock, signal})
+	}
+	fetch.calls = calls
+	fetch.reply = (...builders) => {
+		replies.push(...builders)
+		return fetch
+	}
+	// throws unless all queued responses have been used
+	fetch.assertDone = () => {
+		if (replies.length > 0) {
+			throw new assert.AssertionError({
+				message: `Expected ${replies.length} more request(s)`,
+				operator: 'assertDone',
+			})
+		}
+	}
+	return fetch
+}
+
+// Builds a response for "fetch.reply", an NDJSON response unless changed or an
+// error without a body
+function response(status = 200) {
+	let statusText = statusTexts[status] || ''
+	const headers = new Map()
+	const steps = []
+	let delay = 0
+
+	const builder = {
+		status: (value, text = statusTexts[value] || '') => {
+			status = value
+			statusText = text
+			return builder
+		},
+		header: (name, value) => {
+			headers.set(name.toLowerCase(), String(value))
+			return builder
+		},
+		// delays the headers
+		after: (ms) => {
+			delay = ms
+			return builder
+		},
+		// one chunk per item
+		items: (...items) => {
+			for (const item of items) {
+				steps.push({chunk: JSON.stringify(item) + '\n'})
+			}
+			return builder
+		},
+		// a raw chunk of the body, e.g. a line missing its newline
+		chunk: (text) => {
+			steps.push({chunk: text})
+			return builder
+		},
+		// delays the next chunk
+		wait: (ms) => {
+			steps.push({wait: ms})
+			return builder
+		},
+		// rejects a read (e.g. a dropped connection)
+		fail: (error = new TypeError('network error')) => {
+			steps.push({error})
+			return builder
+		},
+		// a JSON body, e.g. an error of the API
+		json: (value) => {
+			headers.set('content-type', 'application/json')
+			steps.push({chunk: JSON.stringify(value)})
+			return builder
+		},
+		respond,
+	}
+	return builder
+
+	function respond({clock, signal} = {}) {
+		const wait = (ms) =>
+			ms > 0
+				? new Promise((resolve) =>
+						clock !== undefined
+							? clock.setTimeout(resolve, ms)
+							: setTimeout(resolve, ms)
+				  )
+				: Promise.resolve()
+		return new Promise((resolve, reject) => {
+			if (signal !== undefined) {
+				if (signal.aborted) return reject(abortError())
+				signal.addEventListener('abort', () => reject(abortError()))
+			}
+			wait(delay).then(() =>
+				resolve({
+					status,
+					statusText,
+					ok: status >= 200 && status < 300,
+					headers: new Map([
+						...(status < 300 || steps.length > 0
+							? [['content-type', 'application/x-ndjson']]
+							: []),
+						['x-request-id', `${++requestCount}`],
+						...headers,
+					]),
+					body: {getReader: () => createReader(steps, wait, signal)},
+					json: () =>
+						new Promise((resolve) =>
+							resolve(
+								JSON.parse(
+									steps.map(({chunk = ''}) => chunk).join('')
+								)
+							)
+						),
+				})
+			)
+		})
+	}
+}
+
+// A "429 Too Many Requests" response
+function rateLimited(retryAfter) {
+	const builder = response(429)
+	return retryAfter !== undefined
+		? builder.header('retry-after', retryAfter)
+		: builder
+}
+
+function createReader(steps, wait, signal) {
+	const encoder = new TextEncoder()
+	let i = 0
+	let cancelled = false
+
+	return {
+		read,
+		cancel: () => {
+			cancelled = true
+			return Promise.resolve()
+		},
+	}
+
+	function read() {
+		if (cancelled) return Promise.resolve({done: true, value: undefined})
+		if (signal !== undefined && signal.aborted) {
+			return Promise.reject(abortError())
+		}
+		const step = steps[i++]
+		if (step === undefined) {
+			return Promise.resolve({done: true, value: undefined})
+		} else if (step.wait !== undefined) {
+			return wait(step.wait).then(read)
+		} else if (step.error !== undefined) {
+			return Promise.reject(step.error)
+		} else {
+			return Promise.resolve({
+				done: false,
+				value: encoder.encode(step.chunk),
+			})
+		}
+	}
+}
+
+// Wraps "fetch" and writes each interaction (the request and the streamed
+// response with the delay before each chunk) to the fixture at "path".
+// Credential headers (and any in "redact") are not written, nor are card
+// numbers and sensitive keys of the URL and body.
+function record(fetch, {path, clock, redact = []} = {}) {
+	if (typeof path !== 'string') {
+		throw new Error(
+			`Unexpected type of "path", got "${typeof path}" expected "string"`
+		)
+	}
+	const now = clock !== undefined ? () => clock.now() : () => Date.now()
+	const redacted = credentialHeaders.concat(
+		redact.map((h) => h.toLowerCase())
+	)
+	const redactor = createRedactor({keys: redact})
+	const interactions = []
+	save()
+
+	const recording = (url, opts = {}) => {
+		const {method = 'GET', headers = {}, body} = opts
+		const interaction = {
+			request: {
+				method,
+				url: redactor.value(url),
+				headers: redactHeaders(headers),
+				body: redactBody(redactor, body),
+			},
+			response: undefined,
+		}
+		return fetch(url, opts).then((res) => {
+			interaction.response = {
+				status: res.status,
+				statusText: res.statusText,
+				headers: redactHeaders(res.headers),
+				chunks: [],
+			}
+			// saved with the headers as the body might never be read
+			interactions.push(interaction)
+			save()
+			const {chunks} = interaction.response
+			const decoder = new TextDecoder()
+			let last = now()
+			let done = false
+			const complete = (error) => {
+				if (done) return
+				done = true
+				if (error !== undefined) {
+					interaction.response.error =
+						error instanceof Error ? error.message : String(error)
+				}
+				save()
+			}
+			const push = (text) => {
+				const t = now()
+				chunks.push({delay: t - last, text})
+				last = t
+			}
+			return {
+				status: res.status,
+				statusText: res.statusText,
+				ok: res.ok,
+				headers: res.headers,
+				body: {
+					getReader: () => {
+						const reader = getReader(res.body)
+						return {
+							read: () =>
+								reader.read().then(
+									(result) => {
+										if (result.done) {
+											complete()
+										} else {
+											push(
+												decoder.decode(result.value, {
+													stream: true,
+												})
+											)
+										}
+										return result
+									},
+									(err) => {
+										complete(err)
+										throw err
+									}
+								),
+							cancel: () => {
+								complete()
+								return reader.cancel()
+							},
+						}
+					},
+				},
+				json: () =>
+					res.json().then((value) => {
+						push(JSON.stringify(value))
+						complete()
+						return value
+					}),
+			}
+		})
+	}
+	recording.interactions = interactions
+	return recording
+
+	function redactHeaders(headers) {
+		const entries =
+			typeof headers.entries === 'function'
+				? [...headers.entries()]
+				: Object.entries(headers)
+		return Object.fromEntries(
+			entries.map(([name, value]) => [
+				name,
+				redacted.includes(name.toLowerCase()) ? '[REDACTED]' : value,
+			])
+		)
+	}
+
+	function save() {
+		fs.writeFileSync(
+			path,
+			JSON.stringify({interactions}, null, '\t') + '\n'
+		)
+	}
+}
+
+// A "fetch" serving the interactions of the fixture at "path" (see "record"),
+// each once and in order among those matching the method, URL and body (as
+// redacted by "record" given the same "redact"). Unmatched requests are
+// rejected. Delays are replayed only given a "clock".
+function replay({path, clock, redact = []} = {}) {
+	if (typeof path !== 'string') {
+		throw new Error(
+			`Unexpected type of "path", got "${typeof path}" expected "string"`
+		)
+	}
+	const {interactions} = JSON.parse(fs.readFileSync(path, 'utf8'))
+	const unused = interactions.slice()
+	const redactor = createRedactor({keys: redact})
+
+	const fetch = (url, {method = 'GET', body, signal} = {}) => {
+		const i = unused.findIndex(
+			({request}) =>
+				request.method === method &&
+				request.url === redactor.value(url) &&
+				request.body === redactBody(redactor, body)
+		)
+		if (i === -1) {
+			return Promise.reject(
+				new Error(
+					`No recorded response for: ${method} ${url} in ${path}`
+				)
+			)
+		}
+		const [{response: recorded}] = unused.splice(i, 1)
+		const builder = response().status(recorded.status, recorded.statusText)
+		for (const [name, value] of Object.entries(recorded.headers)) {
+			builder.header(name, value)
+		}
+		for (const {delay, text} of recorded.chunks) {
+			if (clock !== undefined && delay > 0) builder.wait(delay)
+			builder.chunk(text)
+		}
+		if (recorded.error !== undefined) {
+			builder.fail(new TypeError(recorded.error))
+		}
+		return builder.respond({clock, signal})
+	}
+	// throws unless all recorded interactions have been used
+	fetch.assertDone = () => {
+		if (unused.length > 0) {
+			throw new assert.AssertionError({
+				message: `Expected ${unused.length} more request(s) recorded in ${path}`,
+				operator: 'assertDone',
+			})
+		}
+	}
+	return fetch
+}
+
+// A local HTTP server following the conventions of the Paylike API. Routes
+// reply with responses built using "response" (or a function of the request
+// returning one) streamed over the socket, "wait" delays a chunk and "fail"
+// destroys the socket (a truncated response).
+function createEmulator({versions = [1]} = {}) {
+	const routes = new Map()
+	const requests = []
+	const server = http.createServer((req, res) => {
+		const chunks = []
+		req.on('data', (chunk) => chunks.push(chunk))
+		req.on('end', () => handle(req, res, Buffer.concat(chunks).toString()))
+	})
+	const emulator = {
+		url: undefined,
+		requests,
+		route: (method, path, reply) => {
+			routes.set(`${method.toUpperCase()} ${path}`, reply)
+			return emulator
+		},
+		close: () =>
+			new Promise((resolve) => {
+				server.close(() => resolve())
+				// keep-alive connections
+				if (server.closeAllConnections !== undefined) {
+					server.closeAllConnections()
+				}
+			}),
+	}
+
+	return new Promise((resolve, reject) => {
+		server.once('error', reject)
+		server.listen(0, '127.0.0.1', () => {
+			emulator.url = `http://127.0.0.1:${server.address().port}`
+			resolve(emulator)
+		})
+	})
+
+	function handle(req, res, text) {
+		const {pathname, searchParams} = new URL(req.url, emulator.url)
+		let body
+		let invalid = false
+		try {
+			body = text !== '' ? JSON.parse(text) : undefined
+		} catch (err) {
+			invalid = true
+		}
+		const request = {
+			method: req.method,
+			path: pathname,
+			query: Object.fromEntries(searchParams),
+			headers: req.headers,
+			body,
+		}
+		requests.push(request)
+		const version = req.headers['accept-version']
+		const reply =
+			version === undefined
+				? error(
+						400,
+						'VERSION_MISSING',
+						'Missing "Accept-Version" header'
+				  )
+				: !versions.includes(Number(version))
+				? error(
+						400,
+						'VERSION_UNSUPPORTED',
+						`Unsupported version ${version}`
+				  )
+				: invalid
+				? error(400, 'BODY_INVALID', 'Body is not valid JSON')
+				: routes.get(`${req.method} ${pathname}`) ||
+				  error(
+						404,
+						'NOT_FOUND',
+						`No route for ${req.method} ${pathname}`
+				  )
+		new Promise((resolve) =>
+			resolve(typeof reply === 'function' ? reply(request) : reply)
+		)
+			.then((builder) => builder.respond())
+			.then((r) => serve(r, res))
+			.catch((err) =>
+				res.headersSent
+					? res.destroy()
+					: error(500, 'INTERNAL_ERROR', `${err}`)
+							.respond()
+							.then((r) => serve(r, res))
+			)
+	}
+
+	function serve(r, res) {
+		res.writeHead(r.status, r.statusText, Object.fromEntries(r.headers))
+		const reader = r.body.getReader()
+		res.on('close', () => reader.cancel())
+		const next = () =>
+			reader.read().then(
+				({done, value}) => {
+					if (res.destroyed) return
+					if (done) return res.end()
+					res.write(value)
+					next()
+				},
+				() => res.destroy()
+			)
+		next()
+	}
+
+	function error(status, code, message) {
+		return response(status).json({code, message})
+	}
+}
+
+// JSON bodies are redacted by key, others as a string
+function redactBody(redactor, body) {
+	if (typeof body !== 'string') return body
+	try {
+		return JSON.stringify(redactor.value(JSON.parse(body)))
+	} catch (err) {
+		return redactor.value(body)
+	}
+}
+
+function getReader(body) {
+	if (body.getReader !== undefined) return body.getReader()
+	const it = body[Symbol.asyncIterator]()
+	return {
+		read: () => it.next(),
+		cancel: () => {
+			if (body.destroy !== undefined) body.destroy()
+			return Promise.resolve()
+		},
+	}
+}
+
+function settle() {
+	return new Promise((resolve) =>
+		globalThis.setImmediate !== undefined
+			? globalThis.setImmediate(resolve)
+			: globalThis.setTimeout(resolve, 0)
+	)
+}
+
+function abortError() {
+	const err = new Error('The operation was aborted.')
+	err.name = 'AbortError'
+	return err
+}
+
+// A "log" recording its entries with assertions on them
+function createLog() {
+	const entries = []
+	const log = (entry) => {
+		entries.push(entry)
+	}
+	log.entries = entries
+	log.ofType = (t) => entries.filter((entry) => typeOf(entry) === t)
+	// throws unless an entry has all properties of "expected" (compared deeply)
+	log.assertEntry = (expected) => {
+		const found = entries.some(
+			(entry) =>
+				entry !== null &&
+				typeof entry === 'object' &&
+				Object.keys(expected).every((key) =>
+					isDeepStrictEqual(entry[key], expected[key])
+				)
+		)
+		if (!found) {
+			throw new assert.AssertionError({
+				message: 'Expected a matching log entry',
+				actual: entries,
+				expected,
+				operator: 'assertEntry',
+			})
+		}
+	}
+	// throws unless entries of the types appear in order (with any others in
+	// between), the type of a string entry is the string itself
+	log.assertSequence = (types) => {
+		let i = 0
+		for (const entry of entries) {
+			if (i < types.length && typeOf(entry) === types[i]) i++
+		}
+		if (i < types.length) {
+			throw new assert.AssertionError({
+				message: `Expected log entries of type "${types[i]}" (at ${i})`,
+				actual: entries.map(typeOf),
+				expected: types,
+				operator: 'assertSequence',
+			})
+		}
+	}
+	return log
+}
+
+function typeOf(entry) {
+	return typeof entry === 'string'
+		? entry
+		: entry !== null && typeof entry === 'object'
+		? entry.t
+		: undefined
+}